@@ -0,0 +1,103 @@
+// Inline SVG charts for the HTML report. Every chart is a plain <svg> string with
+// its own styling, so the report is a single file that opens offline.
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+const FONT = 'font-family="system-ui, sans-serif" font-size="12"';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Horizontal bars, one per { label, value }, scaled to the largest value
+function barChart(items, { format = value => value.toLocaleString(), width = 640 } = {}) {
+  const labelWidth = Math.min(240, 20 + Math.max(...items.map(item => String(item.label).length)) * 7);
+  const valueWidth = 90;
+  const barHeight = 20;
+  const peak = Math.max(...items.map(item => item.value), 0) || 1;
+  const plotWidth = width - labelWidth - valueWidth;
+  const height = items.length * (barHeight + 6) + 6;
+
+  const rows = items.map((item, i) => {
+    const y = 6 + i * (barHeight + 6);
+    const length = Math.max(1, item.value / peak * plotWidth);
+    return `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escapeHtml(item.label)}</text>` +
+      `<rect x="${labelWidth}" y="${y}" width="${length.toFixed(1)}" height="${barHeight}" fill="${item.color || COLORS[0]}"><title>${escapeHtml(item.label)}: ${escapeHtml(format(item.value))}</title></rect>` +
+      `<text x="${(labelWidth + length + 6).toFixed(1)}" y="${y + 14}">${escapeHtml(format(item.value))}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ${FONT}>${rows.join('')}</svg>`;
+}
+
+// Vertical bars of a latency histogram: buckets are [{ le, count }] as LatencyRecorder
+// produces them, `formatBucket` turns an upper bound into an axis label
+function histogramChart(buckets, { formatBucket = String, width = 640, height = 180 } = {}) {
+  const margin = { top: 16, bottom: 36, left: 8, right: 8 };
+  const peak = Math.max(...buckets.map(bucket => bucket.count), 1);
+  const slot = (width - margin.left - margin.right) / Math.max(1, buckets.length);
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const bars = buckets.map((bucket, i) => {
+    const x = margin.left + i * slot;
+    const barHeight = bucket.count / peak * plotHeight;
+    const label = bucket.le === '+Inf' ? '> max' : `≤ ${formatBucket(bucket.le)}`;
+    return `<rect x="${(x + 2).toFixed(1)}" y="${(margin.top + plotHeight - barHeight).toFixed(1)}" width="${Math.max(1, slot - 4).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${COLORS[0]}"><title>${escapeHtml(label)}: ${bucket.count}</title></rect>` +
+      `<text x="${(x + slot / 2).toFixed(1)}" y="${(margin.top + plotHeight - barHeight - 3).toFixed(1)}" text-anchor="middle" font-size="10">${bucket.count}</text>` +
+      `<text x="${(x + slot / 2).toFixed(1)}" y="${height - margin.bottom + 14}" text-anchor="middle" font-size="10">${escapeHtml(label)}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ${FONT}>${bars.join('')}</svg>`;
+}
+
+// Lines over a shared x axis. `series` is [{ name, points: [[x, y], ...] }]; with `logX`
+// the x axis is logarithmic, e.g. for row counts that grow tenfold per step.
+function lineChart(series, { formatX = String, formatY = String, width = 640, height = 260, logX = false } = {}) {
+  // The legend wraps after as many entries as fit next to each other
+  const perRow = Math.max(1, Math.floor((width - 72) / 130));
+  const legendRows = series.length > 1 ? Math.ceil(series.length / perRow) : 0;
+  const margin = { top: 16, right: 16, bottom: 32 + legendRows * 16, left: 72 };
+  const chartHeight = height + legendRows * 16;
+  const points = series.flatMap(line => line.points);
+  if (points.length === 0) return '';
+  const scaleX = logX ? Math.log10 : x => x;
+  const xs = points.map(([x]) => scaleX(x));
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const maxY = Math.max(...points.map(([, y]) => y), 0) || 1;
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = chartHeight - margin.top - margin.bottom;
+  const toX = x => margin.left + (maxX > minX ? (scaleX(x) - minX) / (maxX - minX) : 0.5) * plotWidth;
+  const toY = y => margin.top + plotHeight - y / maxY * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const y = margin.top + plotHeight - fraction * plotHeight;
+    return `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y}" y2="${y}" stroke="#e5e7eb"/>` +
+      `<text x="${margin.left - 6}" y="${y + 4}" text-anchor="end">${escapeHtml(formatY(maxY * fraction))}</text>`;
+  });
+  // Ticks at the x values of the first series, or the range ends when it has many points
+  const tickValues = [...new Set(series[0].points.map(([x]) => x))];
+  const ticks = (tickValues.length <= 8 ? tickValues : [tickValues[0], tickValues[tickValues.length - 1]]).map(x =>
+    `<text x="${toX(x).toFixed(1)}" y="${chartHeight - margin.bottom + 16}" text-anchor="middle">${escapeHtml(formatX(x))}</text>`
+  );
+  const lines = series.map((line, i) => {
+    const color = COLORS[i % COLORS.length];
+    const path = line.points.map(([x, y]) => `${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join(' ');
+    const dots = line.points.length <= 30
+      ? line.points.map(([x, y]) => `<circle cx="${toX(x).toFixed(1)}" cy="${toY(y).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(line.name)}: ${escapeHtml(formatX(x))}, ${escapeHtml(formatY(y))}</title></circle>`).join('')
+      : '';
+    return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+  });
+  const legend = series.length > 1
+    ? series.map((line, i) => {
+      const x = margin.left + (i % perRow) * 130;
+      const y = chartHeight - margin.bottom + 28 + Math.floor(i / perRow) * 16;
+      return `<rect x="${x}" y="${y}" width="10" height="10" fill="${COLORS[i % COLORS.length]}"/><text x="${x + 14}" y="${y + 9}">${escapeHtml(line.name)}</text>`;
+    }).join('')
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${chartHeight}" width="${width}" height="${chartHeight}" ${FONT}>` +
+    `${grid.join('')}<line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#9ca3af"/>` +
+    `${ticks.join('')}${lines.join('')}${legend}</svg>`;
+}
+
+module.exports = { escapeHtml, barChart, histogramChart, lineChart };
@@ -0,0 +1,244 @@
+// Live progress of a run. On a terminal a block at the bottom of the output is redrawn
+// a few times per second: the phases done with an ETA for the whole run, the current
+// step with its rate and recent p99 latency, one line per concurrency worker and the
+// database and WAL file sizes. Everything logged meanwhile is printed above the block.
+// When stdout is not a terminal (CI logs, pipes) progress is printed as plain lines
+// instead: at most one per step or worker every LOG_INTERVAL_MS, and the last one.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const REDRAW_MS = 250;
+const LOG_INTERVAL_MS = 10000;
+const BAR_WIDTH = 20;
+const STEP_BAR_WIDTH = 12;
+// Rates are averaged over the last few seconds and p99s over the last samples
+const RATE_WINDOW_MS = 3000;
+const LATENCY_WINDOW = 1000;
+
+const bar = (fraction, width = BAR_WIDTH) => {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * width);
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+};
+
+function recentP99(samples) {
+  const recent = Float64Array.from(samples.slice(-LATENCY_WINDOW)).sort();
+  return recent.length > 0 ? recent[Math.ceil(recent.length * 0.99) - 1] : null;
+}
+
+// Units per second over RATE_WINDOW_MS of { time, done } points, oldest first
+function rate(history) {
+  if (history.length < 2) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+  return last.time > first.time ? Math.round((last.done - first.done) / ((last.time - first.time) / 1000)) : null;
+}
+
+function track(history, done) {
+  const now = Date.now();
+  history.push({ time: now, done: done });
+  while (history.length > 2 && now - history[1].time > RATE_WINDOW_MS) {
+    history.shift();
+  }
+}
+
+class Dashboard {
+  // `files` returns the database files whose size (and WAL size) is shown
+  constructor({ files, formatTime, formatLatency, stream = process.stdout }) {
+    this.files = files;
+    this.formatTime = formatTime;
+    this.formatLatency = formatLatency;
+    this.stream = stream;
+    this.interactive = Boolean(stream.isTTY);
+    this.step = null;
+    this.phase = null;
+    this.workers = new Map();
+    this.lines = 0;
+    this.timer = null;
+    this.console = null;
+  }
+
+  // `totalPhases` counts the phases of every run of the plan, for the ETA
+  start(totalPhases) {
+    this.totalPhases = totalPhases;
+    this.phaseDurations = [];
+    this.startTime = Date.now();
+    if (!this.interactive || this.timer) return;
+
+    // Log lines go above the block
+    this.console = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    for (const [method, original] of Object.entries(this.console)) {
+      console[method] = (...args) => {
+        this.clear();
+        original(...args);
+        this.draw();
+      };
+    }
+    this.timer = setInterval(() => this.redraw(), REDRAW_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    this.endStep();
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.clear();
+    if (this.console) {
+      Object.assign(console, this.console);
+      this.console = null;
+    }
+  }
+
+  startPhase(label) {
+    this.phase = { label: label, startTime: Date.now() };
+  }
+
+  endPhase() {
+    this.endStep();
+    this.workers.clear();
+    if (this.phase) {
+      this.phaseDurations.push(Date.now() - this.phase.startTime);
+      this.phase = null;
+    }
+  }
+
+  // Progress of the current step; a new label ends the previous step. `total` is null
+  // when it is not known up front. Options:
+  // - unit: what `done` counts, e.g. 'rows'; shown as a rate when given
+  // - latency: a LatencyRecorder of the step, shown as the p99 of its recent samples
+  // - detail: what the step is working on right now
+  // - format: how `done` and `total` are printed (default: with thousands separators)
+  progress(label, done, total = null, options = {}) {
+    if (this.step?.label !== label) {
+      this.endStep();
+      this.step = { label: label, history: [], loggedAt: Date.now() };
+    }
+    Object.assign(this.step, { done: done, total: total, options: options });
+    track(this.step.history, done);
+
+    if (!this.interactive && Date.now() - this.step.loggedAt >= LOG_INTERVAL_MS) {
+      this.step.loggedAt = Date.now();
+      this.stream.write(this.describeStep() + '\n');
+    }
+  }
+
+  // The step is done; its last progress stays in the output
+  endStep() {
+    if (!this.step) return;
+    const line = this.describeStep(false);
+    this.step = null;
+    this.print(line);
+  }
+
+  // Status of a concurrency worker, from its progress messages. A finished worker's
+  // last status stays in the output.
+  worker(id, { role, completed, operations, p99 }) {
+    const entry = this.workers.get(id) || { history: [], loggedAt: Date.now() };
+    Object.assign(entry, { role: role, completed: completed, operations: operations, p99: p99 });
+    track(entry.history, completed);
+    this.workers.set(id, entry);
+
+    if (completed === operations) {
+      this.workers.delete(id);
+      this.print(this.describeWorker(id, entry));
+    } else if (!this.interactive && Date.now() - entry.loggedAt >= LOG_INTERVAL_MS) {
+      entry.loggedAt = Date.now();
+      this.stream.write(this.describeWorker(id, entry) + '\n');
+    }
+  }
+
+  print(line) {
+    this.clear();
+    this.stream.write(line + '\n');
+    this.draw();
+  }
+
+  describeStep(live = true) {
+    const { label, done, total, options, history } = this.step;
+    const format = options.format || (value => value.toLocaleString());
+    const parts = [`     - ${label}: ${format(done)}${total !== null ? ` / ${format(total)}` : ''}`];
+    if (options.detail) parts.push(options.detail);
+    if (live) {
+      const unitsPerSecond = options.unit ? rate(history) : null;
+      if (unitsPerSecond !== null) {
+        parts.push(`${unitsPerSecond.toLocaleString()} ${options.unit}/sec`);
+      }
+      const p99 = options.latency && recentP99(options.latency.samples);
+      if (p99) parts.push(`p99 ${this.formatLatency(p99)}`);
+    }
+    return parts.join(', ');
+  }
+
+  describeWorker(id, entry) {
+    const parts = [`     - Worker ${id} (${entry.role}): ${entry.completed.toLocaleString()} / ${entry.operations.toLocaleString()}`];
+    const operationsPerSecond = rate(entry.history);
+    if (operationsPerSecond !== null) parts.push(`${operationsPerSecond.toLocaleString()} ops/sec`);
+    if (entry.p99) parts.push(`p99 ${this.formatLatency(entry.p99)}`);
+    return parts.join(', ');
+  }
+
+  // Remaining time from the average duration of the phases done so far
+  estimateRemaining() {
+    const done = this.phaseDurations.length;
+    if (done === 0) return null;
+    const average = this.phaseDurations.reduce((sum, duration) => sum + duration, 0) / done;
+    const current = this.phase ? Date.now() - this.phase.startTime : 0;
+    return Math.max(0, average * (this.totalPhases - done) - current);
+  }
+
+  render() {
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const done = this.phaseDurations.length;
+    const remaining = this.estimateRemaining();
+    const lines = [
+      `⏳ ${bar(done / Math.max(1, this.totalPhases))} ${done}/${this.totalPhases} phases${this.phase ? `, ${this.phase.label}` : ''}, ${this.formatTime(Date.now() - this.startTime)} elapsed, ETA ${remaining === null ? 'estimating' : this.formatTime(remaining)}`
+    ];
+
+    if (this.step) {
+      const { total, done: stepDone } = this.step;
+      lines.push(total ? `   ${bar(stepDone / total, STEP_BAR_WIDTH)} ${this.describeStep().trimStart().slice(2)}` : this.describeStep());
+    }
+    for (const [id, entry] of this.workers) {
+      lines.push(`   ${bar(entry.completed / entry.operations, STEP_BAR_WIDTH)} ${this.describeWorker(id, entry).trimStart().slice(2)}`);
+    }
+
+    const sizes = [];
+    for (const file of this.files().filter(Boolean)) {
+      for (const [name, suffix] of [[path.basename(file), ''], ['WAL', '-wal']]) {
+        try {
+          sizes.push(`${name} ${mb(fs.statSync(file + suffix).size)}`);
+        } catch (err) {
+          // Not created yet, or no WAL in this journal mode
+        }
+      }
+    }
+    if (sizes.length > 0) lines.push(`💾 ${sizes.join(', ')}`);
+    return lines;
+  }
+
+  draw() {
+    if (!this.timer) return;
+    // Cut to the terminal width, so that every line takes one row; emoji are two columns wide
+    const columns = (this.stream.columns || 80) - 2;
+    const lines = this.render().map(line => (line.length > columns ? line.slice(0, columns) : line));
+    this.stream.write(lines.join('\n') + '\n');
+    this.lines = lines.length;
+  }
+
+  clear() {
+    if (this.lines === 0) return;
+    readline.moveCursor(this.stream, 0, -this.lines);
+    readline.clearScreenDown(this.stream);
+    this.lines = 0;
+  }
+
+  redraw() {
+    this.clear();
+    this.draw();
+  }
+}
+
+module.exports = { Dashboard };
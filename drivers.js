@@ -0,0 +1,199 @@
+// The SQLite drivers the suite can run on, behind one promise-based connection
+// interface: run(), all(), exec(), prepare() and close(). sqlite3 is asynchronous and
+// always installed. better-sqlite3 and Node's built-in node:sqlite (Node 22.5+) are
+// synchronous and optional; a driver that is not installed reports why from
+// getDriverStatus() instead of failing the run.
+
+const { normalizeValue } = require('./ledger');
+
+// What node-sqlite3 sets on every connection it opens. The other drivers get the
+// same, so that lock waits compare.
+const DEFAULT_BUSY_TIMEOUT = 1000;
+
+// Primary result code names by number, for drivers that only report the number
+const RESULT_CODES = [
+  'OK', 'ERROR', 'INTERNAL', 'PERM', 'ABORT', 'BUSY', 'LOCKED', 'NOMEM', 'READONLY', 'INTERRUPT',
+  'IOERR', 'CORRUPT', 'NOTFOUND', 'FULL', 'CANTOPEN', 'PROTOCOL', 'EMPTY', 'SCHEMA', 'TOOBIG', 'CONSTRAINT',
+  'MISMATCH', 'MISUSE', 'NOLFS', 'AUTH', 'FORMAT', 'RANGE', 'NOTADB', 'NOTICE', 'WARNING'
+];
+
+// Errors carry the primary code as err.code ('SQLITE_BUSY'), the way sqlite3 reports
+// it, and the extended one as err.extendedCode when the driver has it
+function normalizeError(err) {
+  if (typeof err.errcode === 'number') {
+    err.extendedCode = err.code;
+    err.code = `SQLITE_${RESULT_CODES[err.errcode & 0xff] || 'ERROR'}`;
+  } else if (/^SQLITE_[A-Z]+_/.test(err.code || '')) {
+    err.extendedCode = err.code;
+    err.code = err.code.replace(/^(SQLITE_[A-Z]+)_.*$/, '$1');
+  }
+  return err;
+}
+
+// Values bound the way sqlite3 binds them. The synchronous drivers reject booleans
+// and undefined (1/0 and NULL in sqlite3) and bind every number as a REAL, where
+// sqlite3 binds 32-bit integers as INTEGER; those go in as BigInt instead.
+function bindValue(value) {
+  const normalized = normalizeValue(value);
+  return Number.isInteger(normalized) && (normalized | 0) === normalized ? BigInt(normalized) : normalized;
+}
+
+// Named parameters are passed without their $/:/@ prefix when stripPrefix is set
+function bindParams(params, stripPrefix) {
+  if (Array.isArray(params)) return params.map(bindValue);
+  const named = {};
+  for (const [key, value] of Object.entries(params)) {
+    named[stripPrefix ? key.replace(/^[$:@]/, '') : key] = bindValue(value);
+  }
+  return named;
+}
+
+function openSqlite3(sqlite3, file, options) {
+  const db = options.readOnly ? new sqlite3.Database(file, sqlite3.OPEN_READONLY) : new sqlite3.Database(file);
+  const result = (resolve, reject) => function (err) {
+    if (err) reject(err);
+    else resolve({ lastID: this.lastID, changes: this.changes });
+  };
+  return {
+    handle: db,
+    run: (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, result(resolve, reject))),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve()))),
+    prepare: sql => new Promise((resolve, reject) => {
+      const statement = db.prepare(sql, err => {
+        if (err) return reject(err);
+        resolve({
+          run: (params = []) => new Promise((resolveRun, rejectRun) => statement.run(params, result(resolveRun, rejectRun))),
+          finalize: () => new Promise(resolveFinalize => statement.finalize(() => resolveFinalize()))
+        });
+      });
+    }),
+    close: () => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())))
+  };
+}
+
+// Wraps a synchronous database whose prepared statements have run() and all()
+function wrapSync(db, prepare, options) {
+  const call = fn => {
+    try {
+      return Promise.resolve(fn());
+    } catch (err) {
+      return Promise.reject(normalizeError(err));
+    }
+  };
+  const execute = (statement, params, method) => {
+    const bound = bindParams(params, options.stripPrefix);
+    return Array.isArray(bound) ? statement[method](...bound) : statement[method](bound);
+  };
+  const runStatement = (statement, params) => {
+    // better-sqlite3 refuses run() on statements that return rows
+    if (statement.reader) {
+      execute(statement, params, 'all');
+      return { lastID: 0, changes: 0 };
+    }
+    const info = execute(statement, params, 'run');
+    return { lastID: Number(info.lastInsertRowid), changes: Number(info.changes) };
+  };
+  const allRows = (statement, params) => {
+    if (statement.reader === false) {
+      execute(statement, params, 'run');
+      return [];
+    }
+    return execute(statement, params, 'all').map(options.convertRow || (row => row));
+  };
+
+  return {
+    handle: db,
+    run: (sql, params = []) => call(() => runStatement(prepare(sql), params)),
+    all: (sql, params = []) => call(() => allRows(prepare(sql), params)),
+    exec: sql => call(() => db.exec(sql)),
+    prepare: sql => call(() => {
+      const statement = prepare(sql);
+      return {
+        run: (params = []) => call(() => runStatement(statement, params)),
+        finalize: () => Promise.resolve()
+      };
+    }),
+    close: () => call(() => db.close())
+  };
+}
+
+function openBetterSqlite3(Database, file, options) {
+  const db = new Database(file, { readonly: Boolean(options.readOnly), fileMustExist: Boolean(options.readOnly), timeout: DEFAULT_BUSY_TIMEOUT });
+  return wrapSync(db, sql => db.prepare(sql), { stripPrefix: true });
+}
+
+function openNodeSqlite(sqlite, file, options) {
+  const db = new sqlite.DatabaseSync(file, { readOnly: Boolean(options.readOnly) });
+  db.exec(`PRAGMA busy_timeout = ${DEFAULT_BUSY_TIMEOUT}`);
+  // BLOBs come back as Uint8Array; the suite compares them as Buffers
+  const convertRow = row => {
+    for (const [column, value] of Object.entries(row)) {
+      if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+        row[column] = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+      }
+    }
+    return row;
+  };
+  return wrapSync(db, sql => db.prepare(sql), { stripPrefix: false, convertRow: convertRow });
+}
+
+// `features` are driver APIs some tests use directly on the handle: sqlite3's trace and
+// profile events, serialize() queueing and the stepwise online backup
+const DRIVERS = {
+  sqlite3: {
+    module: 'sqlite3',
+    load: () => require('sqlite3').verbose(),
+    version: () => require('sqlite3/package.json').version,
+    open: openSqlite3,
+    features: { events: true, serialize: true, backup: true }
+  },
+  'better-sqlite3': {
+    module: 'better-sqlite3',
+    load: () => require('better-sqlite3'),
+    version: () => require('better-sqlite3/package.json').version,
+    open: openBetterSqlite3,
+    features: { events: false, serialize: false, backup: false }
+  },
+  'node:sqlite': {
+    module: 'node:sqlite',
+    load: () => require('node:sqlite'),
+    version: () => process.version,
+    open: openNodeSqlite,
+    features: { events: false, serialize: false, backup: false }
+  }
+};
+
+function getDriver(name) {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown driver "${name}". Available drivers: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return driver;
+}
+
+// { available, version } or { available: false, reason }. Native bindings may only
+// load once a database is opened (better-sqlite3 does), so an in-memory one is opened.
+function getDriverStatus(name) {
+  const driver = getDriver(name);
+  try {
+    driver.open(driver.load(), ':memory:', {}).close();
+    return { available: true, version: driver.version() };
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') return { available: false, reason: `${driver.module} is not installed` };
+    if (err.code === 'ERR_UNKNOWN_BUILTIN_MODULE') return { available: false, reason: `${driver.module} is not available in Node.js ${process.version}` };
+    return { available: false, reason: err.message.replace(/\s+/g, ' ') };
+  }
+}
+
+function openDatabase(name, file, options = {}) {
+  const driver = getDriver(name);
+  const connection = driver.open(driver.load(), file, options);
+  connection.driver = name;
+  connection.features = driver.features;
+  return connection;
+}
+
+module.exports = { DRIVERS, getDriverStatus, openDatabase };
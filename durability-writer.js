@@ -0,0 +1,74 @@
+// Crash-consistency writer, forked by the durability test and killed with SIGKILL
+// at a random point. It writes transactions of a random number of rows, each with
+// a header row that records how many rows belong to it, and reports every
+// transaction whose COMMIT returned with an 'ack' message. Every so often it runs
+// VACUUM or a WAL checkpoint and announces it first, so the parent can kill it
+// in the middle of one.
+
+const { SeededRandom } = require('./random');
+const { openDatabase } = require('./drivers');
+
+function send(message) {
+  return new Promise(resolve => process.send(message, () => resolve()));
+}
+
+async function runWriter(settings) {
+  const random = new SeededRandom(settings.seed);
+  const db = openDatabase(settings.driver, settings.dbPath);
+  const run = (sql, params = []) => db.run(sql, params);
+  const all = (sql, params = []) => db.all(sql, params);
+
+  for (const sql of settings.pragmas) {
+    await all(sql);
+  }
+  await all('PRAGMA foreign_keys = ON');
+  await run(`CREATE TABLE IF NOT EXISTS durability_txns (
+        id INTEGER PRIMARY KEY,
+        rows INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  await run(`CREATE TABLE IF NOT EXISTS durability_rows (
+        id INTEGER PRIMARY KEY,
+        txn_id INTEGER NOT NULL REFERENCES durability_txns (id),
+        seq INTEGER NOT NULL,
+        payload BLOB
+    )`);
+  await run('CREATE INDEX IF NOT EXISTS idx_durability_rows_txn_id ON durability_rows(txn_id)');
+
+  const journalMode = (await all('PRAGMA journal_mode'))[0].journal_mode;
+  let txn = ((await all('SELECT MAX(id) AS max_id FROM durability_txns'))[0].max_id || 0) + 1;
+  await send({ type: 'ready', nextTransaction: txn, journalMode: journalMode });
+
+  // Runs until the parent kills the process
+  for (let count = 1; ; count++, txn++) {
+    if (count % settings.vacuumEvery === 0) {
+      await send({ type: 'maintenance', operation: 'vacuum' });
+      await run('VACUUM');
+      await send({ type: 'maintenanceDone' });
+    } else if (journalMode === 'wal' && count % settings.checkpointEvery === 0) {
+      await send({ type: 'maintenance', operation: 'checkpoint' });
+      await all('PRAGMA wal_checkpoint(TRUNCATE)');
+      await send({ type: 'maintenanceDone' });
+    }
+
+    const rows = random.int(settings.rowsPerTransaction.min, settings.rowsPerTransaction.max);
+    await run('BEGIN TRANSACTION');
+    await run('INSERT INTO durability_txns (id, rows) VALUES (?, ?)', [txn, rows]);
+    for (let seq = 0; seq < rows; seq++) {
+      await run('INSERT INTO durability_rows (txn_id, seq, payload) VALUES (?, ?, ?)', [txn, seq, random.bytes(settings.payloadSize)]);
+    }
+    await run('COMMIT');
+    await send({ type: 'ack', transaction: txn });
+  }
+}
+
+if (require.main === module && process.send) {
+  process.once('message', (message) => {
+    if (message.type !== 'start') return;
+    runWriter(message.settings).catch(err => {
+      send({ type: 'error', message: err.message, stack: err.stack }).finally(() => process.disconnect());
+    });
+  });
+}
+
+module.exports = { runWriter };
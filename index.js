@@ -1,17 +1,362 @@
 #!/usr/bin/env node
 
-const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
+const { fork } = require('child_process');
+const { Worker } = require('worker_threads');
 const crypto = require('crypto');
+const os = require('os');
+const { LatencyRecorder } = require('./latency');
+const { SeededRandom, deriveSeed } = require('./random');
+const { loadWorkload, createGenerator, inferGenerator } = require('./workload');
+const { Ledger, normalizeValue, sameValue, describeValue } = require('./ledger');
+const { DRIVERS, getDriverStatus, openDatabase } = require('./drivers');
+const { Dashboard } = require('./dashboard');
+const { escapeHtml, barChart, histogramChart, lineChart } = require('./charts');
+
+const WORKER_MODULE = path.join(__dirname, 'worker.js');
+const DURABILITY_WRITER_MODULE = path.join(__dirname, 'durability-writer.js');
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, 'workloads', 'default-schema.sql');
+const DEFAULT_WORKLOAD_FILE = path.join(__dirname, 'workloads', 'default-workload.json');
+// Workload generated for a source database without a definition: rows sampled per
+// table for its point reads, updates and range scans, and rows read per range scan
+const SOURCE_WORKLOAD_SAMPLES = 200;
+const SOURCE_WORKLOAD_RANGE_ROWS = 100;
+// How long an aborted phase gets to unwind before it is abandoned
+const ABORT_GRACE_MS = 10000;
+// Longest stretch of database calls without a turn of the event loop, see connect()
+const EVENT_LOOP_TURN_MS = 100;
+
+const DEFAULT_CONFIG = {
+  database: { path: "stress_test.db", driver: "sqlite3", keep: false, source: null, sourceMode: "copy" },
+  testConfiguration: { concurrentWorkers: 8, testRecords: 1000000, transactionSize: 100 },
+  insertPerformance: {
+    singleInserts: 1000,
+    batchSize: 1000,
+    progressReportInterval: 100,
+    strategyComparison: { rows: 10000, multiRowWidth: 100, strategies: ["reprepare", "prepared", "multiRow", "insertSelect", "serialize"] }
+  },
+  selectPerformance: { selectAllLimit: 1000, joinLimit: 100, iterations: 10, compareIndexes: [] },
+  updatePerformance: { singleUpdates: 100, batchUpdates: 900, singleUpdateProgressInterval: 10, batchUpdateProgressInterval: 100 },
+  deletePerformance: { testDataRecords: 1000, singleDeletes: 100, progressReportInterval: 10, batchProgressInterval: 100 },
+  transactionPerformance: { transactionInserts: 5000, progressReportInterval: 500 },
+  commitSizeSweep: { enabled: false, sizes: [1, 10, 100, 1000, 10000, 100000], operations: 100000, maxCommits: 2000, updateRatio: 0.3, kneeThreshold: 0.9 },
+  logPerformance: {
+    records: 100000,
+    batchSize: 1000,
+    startTime: "2024-01-01T00:00:00Z",
+    averageIntervalMs: 250,
+    queryIterations: 10,
+    retentionFraction: 0.25,
+    retentionBatchSize: 1000,
+    progressReportInterval: 10
+  },
+  fullTextSearch: {
+    corpus: "generated",
+    documents: 20000,
+    wordsPerDocument: { min: 10, max: 100 },
+    vocabularySize: 5000,
+    wordSkew: 3,
+    batchSize: 1000,
+    tokenizer: "unicode61",
+    queryIterations: 10,
+    incrementalOperations: 500,
+    automerge: { settings: [0, 4, 16], transactions: 100, rowsPerTransaction: 5 },
+    progressReportInterval: 10
+  },
+  concurrency: { operationsPerWorker: 500, workerProgressInterval: 20, isolation: "process", busyTimeout: 5000, retry: { maxRetries: 3, backoffMs: 10 }, roles: [] },
+  dataGeneration: {
+    usernames: ["alice", "bob", "charlie", "diana", "eve", "frank"],
+    domains: ["gmail.com", "yahoo.com", "outlook.com", "test.com"],
+    transactionTypes: ["deposit", "withdrawal", "transfer", "payment"],
+    transactionDescriptions: ["Salary payment", "Grocery shopping", "Rent payment", "Investment", "Refund"],
+    logLevels: ["INFO", "WARNING", "ERROR", "DEBUG"],
+    logMessages: ["User login successful", "Transaction processed", "Database connection established", "Cache cleared", "Backup completed"],
+    searchWords: [
+      "account", "balance", "payment", "invoice", "order", "customer", "service", "request", "response", "error",
+      "warning", "timeout", "retry", "network", "server", "client", "session", "token", "update", "delete",
+      "create", "query", "index", "table", "record", "report", "monthly", "daily", "weekly", "annual",
+      "pending", "approved", "rejected", "failed", "completed", "started", "stopped", "queued", "shipped", "delivered",
+      "credit", "debit", "card", "bank", "transfer", "fee", "tax", "discount", "refund", "subscription"
+    ],
+    logStatusCodes: [200, 201, 204, 301, 400, 401, 404, 500, 503],
+    ageRange: { min: 18, max: 98 },
+    salaryRange: { min: 0, max: 100000 },
+    transactionAmountRange: { min: -1000, max: 1000 },
+    userIdRange: { min: 1, max: 1000 }
+  },
+  dataTypes: { largeTextSize: 10000, largeBlobSize: 50000 },
+  verification: { enabled: true, sampleRate: 0.01, maxMismatches: 50 },
+  latency: { histogramBucketsMs: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000] },
+  output: {
+    directory: ".",
+    baseName: "sqlite_stress_test_report",
+    formats: ["markdown", "json", "csv", "junit"],
+    recommendations: { minBatchSpeedup: 5, maxBusyErrorRate: 1, minVacuumSavings: 20 }
+  },
+  baseline: { path: null, defaultThreshold: 10, minTimeMs: 5, thresholds: {}, failOnRegression: true },
+  soak: {
+    enabled: false,
+    durationSeconds: 7200,
+    snapshotIntervalSeconds: 60,
+    transactionOperations: 10,
+    workload: { insert: 30, update: 25, select: 35, delete: 5, transaction: 5 }
+  },
+  workload: { enabled: false, schemaFile: null, definitionFile: null, sourceOperations: 5000, progressReportInterval: 100 },
+  durability: {
+    enabled: false,
+    cyclesPerCombination: 10,
+    killDelayMs: { min: 20, max: 500 },
+    maintenanceKillRatio: 0.3,
+    maintenanceKillDelayMs: 5,
+    maintenanceTimeoutMs: 5000,
+    rowsPerTransaction: { min: 1, max: 50 },
+    payloadSize: 200,
+    vacuumEvery: 50,
+    checkpointEvery: 10,
+    settings: { journal_mode: ["DELETE", "TRUNCATE", "PERSIST", "WAL", "MEMORY", "OFF"], synchronous: ["OFF", "NORMAL", "FULL"] }
+  },
+  walCheckpoint: {
+    enabled: false,
+    writers: 2,
+    readers: 2,
+    readerHoldMs: 500,
+    rowsPerTransaction: 10,
+    payloadSize: 1000,
+    busyTimeout: 5000,
+    autocheckpointSettings: [1000, 10000, 0],
+    growthDurationSeconds: 5,
+    snapshotIntervalMs: 250,
+    checkpointModes: ["PASSIVE", "FULL", "RESTART", "TRUNCATE"],
+    checkpointsPerMode: 3,
+    checkpointIntervalMs: 1000
+  },
+  maintenance: {
+    incrementalVacuum: { fillerRows: 5000, payloadSize: 1000, pagesPerStep: 100 },
+    backup: { writers: 2, rowsPerTransaction: 10, payloadSize: 200, busyTimeout: 5000, baselineMs: 2000, minDurationMs: 2000, pagesPerStep: -1, stepDelayMs: 0, timeoutMs: 60000 }
+  },
+  scaleCurve: { enabled: false, steps: [10000, 100000, 1000000, 10000000], batchSize: 10000, iterations: 200, cliffThreshold: 2, progressReportInterval: 10 },
+  timeouts: { totalSeconds: null, phaseSeconds: null, phases: {}, workerIdleSeconds: 120 },
+  seed: null,
+  pragmas: {},
+  pragmaMatrix: { enabled: false, settings: { journal_mode: ["DELETE", "WAL"], synchronous: ["OFF", "NORMAL", "FULL"] } },
+  driverComparison: { enabled: false, drivers: ["sqlite3", "better-sqlite3", "node:sqlite"] }
+};
+
+// PRAGMAs that may be set from the configuration, in the order they are applied:
+// page_size only takes effect before the first write and journal_mode goes last
+// so that it runs against the final page size.
+const SUPPORTED_PRAGMAS = ['page_size', 'cache_size', 'mmap_size', 'temp_store', 'synchronous', 'locking_mode', 'journal_mode'];
+
+const WORKER_ROLES = ['reader', 'writer', 'mixed'];
+
+const WAL_CHECKPOINT_MODES = ['PASSIVE', 'FULL', 'RESTART', 'TRUNCATE'];
+
+// Text indexed by the full-text search phase besides the generated corpus: existing
+// rows of a built-in table, with one column as the title and one as the body
+const FTS_CORPORA = {
+  transactions: { table: 'transactions', title: 'type', body: 'description' },
+  logs: { table: 'logs', title: 'level', body: 'message' }
+};
+
+// Ways of inserting the same rows, compared by the insert phase. A `feature` strategy
+// needs that driver feature and is left out on drivers without it.
+const INSERT_STRATEGIES = {
+  reprepare: { method: 'insertRowsReprepare', label: 'db.run per row (re-prepared)' },
+  prepared: { method: 'insertRowsPrepared', label: 'Reused prepared statement' },
+  multiRow: { method: 'insertRowsMultiRow', label: 'Multi-row VALUES' },
+  insertSelect: { method: 'insertRowsFromCte', label: 'INSERT ... SELECT from a CTE' },
+  serialize: { method: 'insertRowsSerialized', label: 'db.serialize() pipelining', feature: 'serialize' }
+};
+
+// Columns of users written by the insert strategies, in parameter order
+const USER_INSERT_COLUMNS = ['username', 'email', 'age', 'salary', 'is_active', 'profile_data'];
+
+// Headline metrics used when several runs (e.g. PRAGMA combinations) are compared side by side
+const COMPARISON_METRICS = [
+  { label: 'Single Inserts/sec', path: 'insertPerformance.singleInsertRate', better: 'higher', format: 'count' },
+  { label: 'Batch Inserts/sec', path: 'insertPerformance.batchInsertRate', better: 'higher', format: 'count' },
+  { label: 'Insert p99', path: 'insertPerformance.latency.singleInsert.p99', better: 'lower', format: 'latency' },
+  { label: 'Commit p99', path: 'insertPerformance.latency.batchCommit.p99', better: 'lower', format: 'latency' },
+  { label: 'Join Query', path: 'selectPerformance.selectJoin.executionTime', better: 'lower', format: 'latency' },
+  { label: 'Update p99', path: 'updatePerformance.latency.singleUpdate.p99', better: 'lower', format: 'latency' },
+  { label: 'Delete p99', path: 'deletePerformance.latency.singleDelete.p99', better: 'lower', format: 'latency' },
+  { label: 'Transaction Batch', path: 'transactionPerformance.batchInsertTime', better: 'lower', format: 'time' },
+  { label: 'Log Ingest/sec', path: 'logPerformance.ingestRate', better: 'higher', format: 'count' },
+  { label: 'JSON Filter p99', path: 'logPerformance.queries.jsonFilterIndexed.latency.p99', better: 'lower', format: 'latency' },
+  { label: 'FTS MATCH p99', path: 'fullTextSearch.queries.match.fts.latency.p99', better: 'lower', format: 'latency' },
+  { label: 'Concurrent Ops/sec', path: 'concurrency.operationsPerSecond', better: 'higher', format: 'count' },
+  { label: 'Concurrent Errors', path: 'concurrency.totalErrors', better: 'lower', format: 'count' },
+  { label: 'Workload Ops/sec', path: 'workload.operationsPerSecond', better: 'higher', format: 'count' },
+  { label: 'WAL Write p99', path: 'walCheckpoint.latency.write.p99', better: 'lower', format: 'latency' },
+  { label: 'VACUUM', path: 'maintenance.vacuumTime', better: 'lower', format: 'time' }
+];
+
+const REPORT_FORMATS = {
+  markdown: { extension: 'md', method: 'generateMarkdownReport' },
+  json: { extension: 'json', method: 'generateJsonReport' },
+  csv: { extension: 'csv', method: 'generateCsvReport' },
+  junit: { extension: 'junit.xml', method: 'generateJUnitReport' },
+  html: { extension: 'html', method: 'generateHtmlReport' }
+};
+
+// How the status of a phase is shown in the reports
+const PHASE_STATUS_ICONS = { passed: '✅', failed: '❌', timedOut: '⏱️', interrupted: '⏹️', skipped: '⏭️' };
+
+// Test phases in execution order. `name` is what --only / --skip refer to.
+// Optional phases only run when named in --only or enabled in their config section.
+// `builtinSchema` phases query the users/transactions/logs tables and are left out
+// when a custom schema or a source database is configured (so is the full-text search
+// phase when it indexes one of them, see usesBuiltinSchema()). `readOnly` phases can run
+// against a source database opened read-only: they leave it alone or only read it
+// (the workload phase as long as its operations do). `resyncLedger` phases change rows in ways the
+// integrity ledger cannot follow, so it re-reads them afterwards instead of verifying.
+const TEST_PHASES = [
+  { name: 'insert', resultKey: 'insertPerformance', method: 'testInsertPerformance', label: 'Insert performance test', builtinSchema: true },
+  { name: 'select', resultKey: 'selectPerformance', method: 'testSelectPerformance', label: 'Select performance test', builtinSchema: true },
+  { name: 'update', resultKey: 'updatePerformance', method: 'testUpdatePerformance', label: 'Update performance test', builtinSchema: true },
+  { name: 'delete', resultKey: 'deletePerformance', method: 'testDeletePerformance', label: 'Delete performance test', builtinSchema: true },
+  { name: 'transaction', resultKey: 'transactionPerformance', method: 'testTransactionPerformance', label: 'Transaction performance test', builtinSchema: true },
+  { name: 'commitSweep', resultKey: 'commitSizeSweep', method: 'testCommitSizeSweep', label: 'Commit size sweep', optional: true, builtinSchema: true },
+  { name: 'logs', resultKey: 'logPerformance', method: 'testLogPerformance', label: 'Log ingestion test', builtinSchema: true },
+  { name: 'fts', resultKey: 'fullTextSearch', method: 'testFullTextSearch', label: 'Full-text search test' },
+  { name: 'dataTypes', resultKey: 'dataTypes', method: 'testDataTypes', label: 'Data types test' },
+  { name: 'concurrency', resultKey: 'concurrency', method: 'testConcurrency', label: 'Concurrency test', builtinSchema: true },
+  { name: 'workload', resultKey: 'workload', method: 'testWorkload', label: 'Workload test', optional: true, resyncLedger: true, readOnly: true },
+  { name: 'soak', resultKey: 'soak', method: 'testSoak', label: 'Soak test', optional: true, builtinSchema: true },
+  { name: 'durability', resultKey: 'durability', method: 'testDurability', label: 'Durability test', optional: true, readOnly: true },
+  { name: 'wal', resultKey: 'walCheckpoint', method: 'testWalCheckpoints', label: 'WAL checkpoint test', optional: true, readOnly: true },
+  { name: 'maintenance', resultKey: 'maintenance', method: 'testVacuumAndAnalyze', label: 'Maintenance operations test' },
+  { name: 'scale', resultKey: 'scaleCurve', method: 'testScaleCurve', label: 'Scale curve test', optional: true, readOnly: true }
+];
+
+// Cartesian product of { name: [values] }, e.g. 2 journal modes x 3 synchronous levels = 6 combinations
+function expandCombinations(settings) {
+  let combinations = [{}];
+  for (const [name, values] of Object.entries(settings)) {
+    const options = Array.isArray(values) ? values : [values];
+    combinations = combinations.flatMap(combination =>
+      options.map(value => ({ ...combination, [name]: value }))
+    );
+  }
+  return combinations;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function htmlTable(headers, rows) {
+  return `<table>
+<tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell ?? '')}</td>`).join('')}</tr>`).join('\n')}
+</table>`;
+}
+
+// Copy of a configuration value that shares no objects or arrays with the original
+function copyConfigValue(value) {
+  if (Array.isArray(value)) return value.map(copyConfigValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyConfigValue(item)]));
+  }
+  return value;
+}
+
+// Deep merge where plain objects are merged recursively and everything else
+// (including arrays) in `override` replaces the value in `base`. The result is a
+// copy, so overrides applied to it later never reach `base` (e.g. DEFAULT_CONFIG).
+function mergeConfig(base, override) {
+  const merged = copyConfigValue(base);
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+// Configuration values that are file or directory paths. Relative ones are resolved
+// against the config file's directory (the script directory for the built-in defaults)
+// and, when given with --set, against the current directory like the matching options.
+const CONFIG_PATH_KEYS = ['database.path', 'database.source', 'output.directory', 'baseline.path', 'workload.schemaFile', 'workload.definitionFile'];
+
+function resolveConfigPaths(config, baseDir, keys = CONFIG_PATH_KEYS) {
+  for (const key of keys) {
+    const [section, name] = key.split('.');
+    if (typeof config[section]?.[name] === 'string') {
+      config[section][name] = path.resolve(baseDir, config[section][name]);
+    }
+  }
+}
+
+// Configuration sections whose keys are chosen by the user (PRAGMA names, test names,
+// metric paths), so an override may add keys that DEFAULT_CONFIG does not have
+const FREE_FORM_CONFIG_KEYS = ['pragmas', 'timeouts.phases', 'baseline.thresholds', 'durability.settings', 'pragmaMatrix.settings'];
+
+// Apply a single "a.b.c=value" override. Values are parsed as JSON when
+// possible so numbers, booleans and arrays keep their type. The key path has to
+// exist in DEFAULT_CONFIG, so a typo fails instead of adding an unused key.
+function applyOverride(config, assignment) {
+  const separator = assignment.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid --set value "${assignment}", expected key.path=value`);
+  }
+
+  const keys = assignment.slice(0, separator).trim().split('.');
+  let known = DEFAULT_CONFIG;
+  for (const [index, key] of keys.entries()) {
+    if (FREE_FORM_CONFIG_KEYS.includes(keys.slice(0, index).join('.'))) break;
+    if (!isPlainObject(known) || !Object.prototype.hasOwnProperty.call(known, key)) {
+      const suggestion = isPlainObject(known) && Object.keys(known).find(name => name.toLowerCase() === key.toLowerCase());
+      throw new Error(`Unknown configuration key "${keys.join('.')}" in --set ${assignment}${suggestion ? ` (did you mean "${[...keys.slice(0, index), suggestion].join('.')}"?)` : ''}`);
+    }
+    known = known[key];
+  }
+  const rawValue = assignment.slice(separator + 1);
+  let value;
+  try {
+    value = JSON.parse(rawValue);
+  } catch (err) {
+    value = rawValue;
+  }
+
+  let target = config;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+
+  const joined = keys.join('.');
+  resolveConfigPaths(config, process.cwd(), CONFIG_PATH_KEYS.filter(key => key === joined || key.startsWith(`${joined}.`)));
+}
 
 class SQLiteStressTest {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+
     // Load configuration from JSON file
-    this.config = this.loadConfig();
+    this.config = this.loadConfig(options.configPath);
+    for (const assignment of options.overrides || []) {
+      applyOverride(this.config, assignment);
+    }
 
-    this.dbPath = path.join(__dirname, this.config.database.path);
+    // With a source database the tests run on a copy of it at database.path, or on the
+    // source itself when it is opened read-only
+    this.sourcePath = this.config.database.source || null;
+    this.readOnly = Boolean(this.sourcePath) && this.config.database.sourceMode === 'readonly';
+    this.dbPath = this.readOnly ? this.sourcePath : this.config.database.path;
+    this.driverName = this.config.database.driver;
     this.db = null;
     this.results = {
       timestamp: new Date().toISOString(),
@@ -19,122 +364,478 @@ class SQLiteStressTest {
         nodeVersion: process.version,
         platform: process.platform,
         arch: process.arch,
-        cpus: require('os').cpus().length,
-        memory: Math.round(require('os').totalmem() / 1024 / 1024) + ' MB'
+        cpus: os.cpus().length,
+        memory: Math.round(os.totalmem() / 1024 / 1024) + ' MB'
       },
+      phases: {},
       tests: {}
     };
     this.concurrentWorkers = this.config.testConfiguration.concurrentWorkers;
     this.testRecords = this.config.testConfiguration.testRecords;
     this.transactionSize = this.config.testConfiguration.transactionSize;
+    this.schemaPath = this.config.workload.schemaFile || DEFAULT_SCHEMA_FILE;
+    this.customSchema = this.schemaPath !== DEFAULT_SCHEMA_FILE || Boolean(this.sourcePath);
+    this.validateSource();
+    this.validateDrivers();
+    // Why a phase that would otherwise run was left out, by phase name
+    this.skipReasons = {};
+    this.phases = this.selectPhases(options.only, options.skip);
+    // A source database without a definition gets its workload when the phase runs
+    const generateWorkload = Boolean(this.sourcePath) && !this.config.workload.definitionFile;
+    this.workload = this.phases.some(phase => phase.name === 'workload') && !generateWorkload
+      ? loadWorkload(this.config.workload.definitionFile || DEFAULT_WORKLOAD_FILE)
+      : null;
+
+    // Without a configured seed pick one, so every run can still be replayed
+    this.seed = this.config.seed ?? crypto.randomBytes(4).readUInt32LE(0);
+    this.results.seed = this.seed;
+    this.random = new SeededRandom(this.seed);
+    // Connections, child workers and scratch databases of the running phase, so that an
+    // aborted phase can be stopped and cleaned up after; `abort` is set while it is being
+    // stopped, `interruption` once the whole run stops
+    this.connections = new Set();
+    this.children = new Set();
+    this.scratchFiles = new Set();
+    this.abort = null;
+    this.interruption = null;
+    this.dashboard = new Dashboard({
+      files: () => [this.dbPath],
+      formatTime: ms => this.formatTime(ms),
+      formatLatency: ms => this.formatLatency(ms)
+    });
+    this.outputDir = this.config.output.directory;
+    this.reportFormats = this.config.output.formats;
+
+    for (const format of this.reportFormats) {
+      if (!REPORT_FORMATS[format]) {
+        throw new Error(`Unknown report format "${format}". Available formats: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+      }
+    }
+
+    this.baseline = this.loadBaseline(this.config.baseline.path);
+    this.validatePragmas(this.config.pragmas);
+    this.getWorkerPlan();
+    if (!['thread', 'process'].includes(this.config.concurrency.isolation)) {
+      throw new Error(`Unknown concurrency.isolation "${this.config.concurrency.isolation}", expected "thread" or "process"`);
+    }
+    for (const combination of [...this.getPragmaCombinations(), ...expandCombinations(this.config.durability.settings)]) {
+      this.validatePragmas(combination);
+    }
+    for (const mode of this.config.walCheckpoint.checkpointModes) {
+      if (!WAL_CHECKPOINT_MODES.includes(mode)) {
+        throw new Error(`Unknown WAL checkpoint mode "${mode}". Available modes: ${WAL_CHECKPOINT_MODES.join(', ')}`);
+      }
+    }
+    for (const autocheckpoint of this.config.walCheckpoint.autocheckpointSettings) {
+      if (!Number.isInteger(autocheckpoint) || autocheckpoint < 0) {
+        throw new Error(`walCheckpoint.autocheckpointSettings must be non-negative page counts (got ${JSON.stringify(autocheckpoint)})`);
+      }
+    }
+    if (!Number.isInteger(this.transactionSize) || this.transactionSize < 1) {
+      throw new Error(`testConfiguration.transactionSize must be a positive row count (got ${JSON.stringify(this.transactionSize)})`);
+    }
+    const sweepSizes = this.config.commitSizeSweep.sizes;
+    if (!Array.isArray(sweepSizes) || sweepSizes.length === 0 || sweepSizes.some(size => !Number.isInteger(size) || size < 1)) {
+      throw new Error(`commitSizeSweep.sizes must be positive transaction sizes (got ${JSON.stringify(sweepSizes)})`);
+    }
+    const scaleSteps = this.config.scaleCurve.steps;
+    if (!Array.isArray(scaleSteps) || scaleSteps.length === 0 || scaleSteps.some(rows => !Number.isInteger(rows) || rows < 1)) {
+      throw new Error(`scaleCurve.steps must be positive row counts (got ${JSON.stringify(scaleSteps)})`);
+    }
+    this.validateTimeouts(this.config.timeouts);
+    if (this.config.fullTextSearch.corpus !== 'generated' && !FTS_CORPORA[this.config.fullTextSearch.corpus]) {
+      throw new Error(`Unknown fullTextSearch.corpus "${this.config.fullTextSearch.corpus}". Available corpora: generated, ${Object.keys(FTS_CORPORA).join(', ')}`);
+    }
+    for (const name of this.config.insertPerformance.strategyComparison.strategies || []) {
+      if (!INSERT_STRATEGIES[name]) {
+        throw new Error(`Unknown insert strategy "${name}". Available strategies: ${Object.keys(INSERT_STRATEGIES).join(', ')}`);
+      }
+    }
   }
 
-  loadConfig() {
+  // Compared drivers that are not installed are skipped when the comparison runs; a
+  // single driver has to be there
+  validateDrivers() {
+    const comparison = this.config.driverComparison;
+    for (const name of [this.driverName, ...(comparison.enabled ? comparison.drivers : [])]) {
+      if (!DRIVERS[name]) {
+        throw new Error(`Unknown driver "${name}". Available drivers: ${Object.keys(DRIVERS).join(', ')}`);
+      }
+    }
+    if (!comparison.enabled) {
+      const status = getDriverStatus(this.driverName);
+      if (!status.available) {
+        throw new Error(`Driver ${this.driverName} is not available: ${status.reason}`);
+      }
+    }
+  }
+
+  validateSource() {
+    if (!this.sourcePath) return;
+    if (!['copy', 'readonly'].includes(this.config.database.sourceMode)) {
+      throw new Error(`Unknown database.sourceMode "${this.config.database.sourceMode}", expected "copy" or "readonly"`);
+    }
+    if (!fs.existsSync(this.sourcePath)) {
+      throw new Error(`Source database ${this.sourcePath} does not exist`);
+    }
+    if (this.config.workload.schemaFile) {
+      throw new Error('A source database brings its own schema; workload.schemaFile (--schema) cannot be used with it');
+    }
+    // The copy is removed and rewritten on every run, so it must never be the source
+    if (!this.readOnly && this.sourcePath === this.config.database.path) {
+      throw new Error(`database.path must differ from the source database ${this.sourcePath} in copy mode`);
+    }
+  }
+
+  // Every limit is a number of seconds, or null for none
+  validateTimeouts(timeouts) {
+    const known = TEST_PHASES.map(phase => phase.name);
+    for (const name of Object.keys(timeouts.phases)) {
+      if (!known.includes(name)) {
+        throw new Error(`Unknown test "${name}" in timeouts.phases. Available tests: ${known.join(', ')}`);
+      }
+    }
+    const limits = [
+      ['totalSeconds', timeouts.totalSeconds],
+      ['phaseSeconds', timeouts.phaseSeconds],
+      ['workerIdleSeconds', timeouts.workerIdleSeconds],
+      ...Object.entries(timeouts.phases).map(([name, seconds]) => [`phases.${name}`, seconds])
+    ];
+    for (const [name, seconds] of limits) {
+      if (seconds !== null && !(typeof seconds === 'number' && seconds > 0)) {
+        throw new Error(`timeouts.${name} must be a positive number of seconds or null (got ${JSON.stringify(seconds)})`);
+      }
+    }
+  }
+
+  validatePragmas(pragmas) {
+    for (const [name, value] of Object.entries(pragmas)) {
+      if (!SUPPORTED_PRAGMAS.includes(name)) {
+        throw new Error(`Unsupported PRAGMA "${name}". Supported PRAGMAs: ${SUPPORTED_PRAGMAS.join(', ')}`);
+      }
+      // Values are interpolated into the statement, so only allow plain keywords and numbers
+      if (!/^-?\w+$/.test(String(value))) {
+        throw new Error(`Invalid value "${value}" for PRAGMA ${name}`);
+      }
+    }
+  }
+
+  // One combination per pragmaMatrix run, e.g. 2 journal modes x 3 synchronous levels = 6 runs
+  getPragmaCombinations() {
+    const matrix = this.config.pragmaMatrix;
+    if (!matrix.enabled) return [];
+    return expandCombinations(matrix.settings);
+  }
+
+  // Statements in SUPPORTED_PRAGMAS order, optionally leaving out some PRAGMAs
+  getPragmaStatements(pragmas, exclude = []) {
+    return SUPPORTED_PRAGMAS
+      .filter(name => pragmas[name] !== undefined && !exclude.includes(name))
+      .map(name => `PRAGMA ${name} = ${pragmas[name]}`);
+  }
+
+  async applyPragmas(pragmas) {
+    // A read-only database keeps the page size and journal mode it has
+    for (const sql of this.getPragmaStatements(pragmas, this.readOnly ? ['page_size', 'journal_mode'] : [])) {
+      await this.getAllQuery(sql);
+    }
+
+    // Read back what SQLite actually uses; e.g. WAL silently falls back on some file systems
+    const effective = {};
+    for (const name of Object.keys(pragmas)) {
+      const rows = await this.getAllQuery(`PRAGMA ${name}`);
+      effective[name] = rows[0] ? Object.values(rows[0])[0] : null;
+    }
+    return effective;
+  }
+
+  loadBaseline(baselinePath) {
+    if (!baselinePath) return null;
+
+    const resolvedPath = path.resolve(baselinePath);
+    let baseline;
+    try {
+      baseline = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to load baseline results ${resolvedPath}: ${error.message}`);
+    }
+    if (!isPlainObject(baseline.tests)) {
+      throw new Error(`Baseline ${resolvedPath} is not a JSON results file (missing "tests")`);
+    }
+
+    baseline.path = resolvedPath;
+    return baseline;
+  }
+
+  loadConfig(configPath) {
+    // An explicitly requested config file must exist; the default one is optional
+    const resolvedPath = configPath ? path.resolve(configPath) : path.join(__dirname, 'config.json');
+    this.configPath = resolvedPath;
+
+    let config;
     try {
-      const configPath = path.join(__dirname, 'config.json');
-      const configData = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(configData);
+      const configData = fs.readFileSync(resolvedPath, 'utf8');
+      config = mergeConfig(DEFAULT_CONFIG, JSON.parse(configData));
     } catch (error) {
+      if (configPath) {
+        throw new Error(`Unable to load config file ${resolvedPath}: ${error.message}`);
+      }
       console.error('❌ Error loading config.json:', error.message);
       console.log('Using default configuration values...');
       // Return default configuration if file doesn't exist or is invalid
-      return {
-        database: { path: "stress_test.db" },
-        testConfiguration: { concurrentWorkers: 8, testRecords: 1000000, transactionSize: 100 },
-        insertPerformance: { singleInserts: 1000, batchSize: 1000, progressReportInterval: 100 },
-        selectPerformance: { selectAllLimit: 1000, joinLimit: 100 },
-        updatePerformance: { singleUpdates: 100, batchUpdates: 900, singleUpdateProgressInterval: 10, batchUpdateProgressInterval: 100 },
-        deletePerformance: { testDataRecords: 1000, singleDeletes: 100, progressReportInterval: 10, batchProgressInterval: 100 },
-        transactionPerformance: { transactionInserts: 5000, progressReportInterval: 500 },
-        concurrency: { operationsPerWorker: 500, workerProgressInterval: 20 },
-        dataGeneration: {
-          usernames: ["alice", "bob", "charlie", "diana", "eve", "frank"],
-          domains: ["gmail.com", "yahoo.com", "outlook.com", "test.com"],
-          transactionTypes: ["deposit", "withdrawal", "transfer", "payment"],
-          transactionDescriptions: ["Salary payment", "Grocery shopping", "Rent payment", "Investment", "Refund"],
-          logLevels: ["INFO", "WARNING", "ERROR", "DEBUG"],
-          logMessages: ["User login successful", "Transaction processed", "Database connection established", "Cache cleared", "Backup completed"],
-          ageRange: { min: 18, max: 98 },
-          salaryRange: { min: 0, max: 100000 },
-          transactionAmountRange: { min: -1000, max: 1000 },
-          userIdRange: { min: 1, max: 1000 }
-        },
-        dataTypes: { largeTextSize: 10000, largeBlobSize: 50000 }
-      };
+      this.configPath = null;
+      config = mergeConfig(DEFAULT_CONFIG, {});
+    }
+    resolveConfigPaths(config, this.configPath ? path.dirname(this.configPath) : __dirname);
+    return config;
+  }
+
+  selectPhases(only, skip) {
+    const known = TEST_PHASES.map(phase => phase.name);
+    for (const name of [...(only || []), ...(skip || [])]) {
+      if (!known.includes(name)) {
+        throw new Error(`Unknown test "${name}". Available tests: ${known.join(', ')}`);
+      }
+      const phase = TEST_PHASES.find(p => p.name === name);
+      if (this.readOnly && !phase.readOnly && (only || []).includes(name)) {
+        throw new Error(`Test "${name}" writes to the database and cannot run against the read-only source ${this.sourcePath}`);
+      }
+      // A source database may well have the built-in schema (e.g. one kept with --keep-db),
+      // so naming a built-in test explicitly is allowed
+      if (this.customSchema && !this.sourcePath && this.usesBuiltinSchema(phase) && (only || []).includes(name)) {
+        throw new Error(`Test "${name}" needs the built-in schema and cannot run against ${this.schemaPath}`);
+      }
+      // The default workload works on the built-in tables; a source database gets one
+      // generated from its own tables instead
+      if (name === 'workload' && this.customSchema && !this.sourcePath && !this.config.workload.definitionFile && (only || []).includes(name)) {
+        throw new Error(`Test "workload" needs a workload definition (--workload) to run against ${this.schemaPath}`);
+      }
+    }
+
+    return TEST_PHASES.filter(phase => {
+      if ((skip || []).includes(phase.name)) return false;
+      if (this.readOnly && !phase.readOnly) return false;
+      if (only && only.length > 0) return only.includes(phase.name);
+      if (this.customSchema && this.usesBuiltinSchema(phase)) return false;
+      // A custom schema is only exercised through its workload, which has to be given for a
+      // schema file; a source database without one gets a workload built from its tables
+      if (this.customSchema && phase.name === 'workload') {
+        if (this.config.workload.definitionFile || this.sourcePath) return true;
+        this.skipReasons.workload = `the default workload needs the built-in tables, pass a workload definition with --workload to exercise ${this.schemaPath}`;
+        return false;
+      }
+      return !phase.optional || Boolean(this.config[phase.resultKey]?.enabled);
+    });
+  }
+
+  // The full-text search phase reads the built-in tables when it indexes one of them
+  usesBuiltinSchema(phase) {
+    return Boolean(phase.builtinSchema || (phase.name === 'fts' && FTS_CORPORA[this.config.fullTextSearch.corpus]));
+  }
+
+  printPlan() {
+    console.log('📋 Resolved test plan (dry run, database untouched):');
+    console.log(`   Config file: ${this.configPath || 'built-in defaults'}`);
+    console.log(`   Database path: ${this.dbPath}${this.config.database.keep && !this.readOnly ? ' (kept after the run)' : ''}`);
+    if (this.sourcePath) {
+      console.log(`   Source database: ${this.sourcePath} (${this.readOnly ? 'opened read-only' : 'copied before every run'})`);
+    } else {
+      console.log(`   Schema: ${this.schemaPath}${this.customSchema ? '' : ' (built-in)'}`);
+    }
+    if (this.workload) {
+      console.log(`   Workload: ${this.workload.name} (${this.workload.path}), operations: ${this.workload.operations.map(operation => operation.name).join(', ')}`);
+    } else if (this.sourcePath && this.phases.some(phase => phase.name === 'workload')) {
+      console.log(`   Workload: generated from the tables and indexes of ${this.sourcePath} when the phase runs`);
+    }
+    if (this.config.driverComparison.enabled) {
+      console.log('   Drivers (each run on a fresh database):');
+      for (const name of this.config.driverComparison.drivers) {
+        const status = getDriverStatus(name);
+        console.log(`     ${status.available ? '✅' : '⏭️ '} ${name}${status.available ? ` ${status.version}` : ` (${status.reason})`}`);
+      }
+    } else {
+      console.log(`   Driver: ${this.driverName} ${getDriverStatus(this.driverName).version}`);
+    }
+    console.log(`   Seed: ${this.seed}${this.config.seed == null ? ' (random)' : ''}`);
+    console.log(`   Test records: ${this.testRecords.toLocaleString()}`);
+    console.log(`   Transaction size: ${this.transactionSize.toLocaleString()}`);
+    console.log(`   Concurrent workers: ${this.describeWorkerPlan(this.getWorkerPlan())}`);
+    console.log(`   Report formats: ${this.reportFormats.join(', ')} -> ${this.outputDir}`);
+    console.log(`   Baseline: ${this.baseline ? `${this.baseline.path} (${this.baseline.timestamp})` : 'none'}`);
+    console.log(`   PRAGMAs: ${this.getPragmaStatements(this.config.pragmas).join('; ') || 'SQLite defaults'}`);
+    const combinations = this.getPragmaCombinations();
+    if (combinations.length > 0) {
+      console.log(`   PRAGMA matrix (${combinations.length} runs, each on a fresh database):`);
+      for (const combination of combinations) {
+        console.log(`     - ${this.getPragmaLabel(combination)}`);
+      }
     }
+    console.log(`   Tests to run (${this.phases.length}/${TEST_PHASES.length}):`);
+    for (const phase of TEST_PHASES) {
+      const selected = this.phases.includes(phase);
+      const notes = [phase.optional && 'optional', this.customSchema && this.usesBuiltinSchema(phase) && 'built-in schema only', this.readOnly && !phase.readOnly && 'writes to the database', this.skipReasons[phase.name]].filter(Boolean);
+      console.log(`     ${selected ? '✅' : '⏭️ '} ${phase.name.padEnd(12)} ${phase.label}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+    }
+    console.log('\n   Effective configuration:');
+    console.log(JSON.stringify(this.config, null, 2).split('\n').map(line => '     ' + line).join('\n'));
   }
 
   async initialize() {
     console.log('🚀 Initializing SQLite Stress Test...');
 
-    // Clean up existing database
-    if (fs.existsSync(this.dbPath)) {
-      fs.unlinkSync(this.dbPath);
+    if (this.readOnly) {
+      // Work on the source itself; nothing is removed or written
+      this.db = this.connect(this.driverName, this.dbPath, { readOnly: true });
+    } else {
+      // Clean up existing database, including journal files a previous run may have left behind
+      this.removeDatabaseFiles();
+      if (this.sourcePath) {
+        await this.copySourceDatabase();
+      }
+      this.db = this.connect(this.driverName, this.dbPath);
+    }
+    this.results.pragmas = await this.applyPragmas(this.config.pragmas);
+    this.results.driver = {
+      name: this.driverName,
+      version: getDriverStatus(this.driverName).version,
+      sqliteVersion: (await this.getAllQuery('SELECT sqlite_version() AS version'))[0].version
+    };
+
+    // What the phases wrote, checked after each of them
+    const verification = this.config.verification;
+    this.ledger = new Ledger(verification.enabled ? verification.sampleRate : 0);
+    this.rowCountChecks = [];
+  }
+
+  // Snapshot of the source database taken with sqlite3's online backup API, so that a
+  // source that is in use (e.g. in WAL mode) is still copied consistently
+  async copySourceDatabase() {
+    console.log(`📥 Copying source database ${this.sourcePath}...`);
+    const startTime = Date.now();
+    const source = this.connect('sqlite3', this.sourcePath, { readOnly: true });
+    try {
+      const backup = await new Promise((resolve, reject) => {
+        const handle = source.handle.backup(this.dbPath, err => (err ? reject(err) : resolve(handle)));
+      });
+      while (!backup.completed) {
+        try {
+          await new Promise((resolve, reject) => backup.step(-1, err => (err ? reject(err) : resolve())));
+        } catch (err) {
+          // Another process is writing to the source; try again shortly
+          if (err.code !== 'SQLITE_BUSY' && err.code !== 'SQLITE_LOCKED') throw err;
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+      }
+      await new Promise(resolve => backup.finish(() => resolve()));
+    } finally {
+      await source.close();
     }
+    console.log(`   - Copied ${(this.getFileSize(this.dbPath) / 1024 / 1024).toFixed(2)} MB to ${this.dbPath} in ${this.formatTime(Date.now() - startTime)}`);
+  }
+
+  // Separate database files some tests work on, named after database.path so they are
+  // never created next to a read-only source
+  getScratchPath(name) {
+    const file = this.config.database.path.replace(/(\.db)?$/, `-${name}.db`);
+    this.scratchFiles.add(file);
+    return file;
+  }
 
-    this.db = new sqlite3.Database(this.dbPath);
-    return Promise.resolve();
+  removeDatabaseFiles(filePath = this.dbPath) {
+    let removed = false;
+    for (const suffix of ['', '-wal', '-shm', '-journal']) {
+      if (fs.existsSync(filePath + suffix)) {
+        fs.unlinkSync(filePath + suffix);
+        removed = true;
+      }
+    }
+    return removed;
   }
 
   async createTables() {
-    console.log('📊 Creating test tables...');
+    console.log(`📊 Creating test tables${this.customSchema ? ` from ${this.schemaPath}` : ''}...`);
 
-    const tables = [
-      `CREATE TABLE users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT NOT NULL,
-                email TEXT NOT NULL,
-                age INTEGER,
-                salary REAL,
-                is_active BOOLEAN,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                profile_data BLOB
-            )`,
-      `CREATE TABLE transactions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER,
-                amount REAL,
-                type TEXT,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id)
-            )`,
-      `CREATE TABLE logs (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                level TEXT,
-                message TEXT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                metadata JSON
-            )`,
-      `CREATE INDEX idx_users_email ON users(email)`,
-      `CREATE INDEX idx_users_age ON users(age)`,
-      `CREATE INDEX idx_transactions_user_id ON transactions(user_id)`,
-      `CREATE INDEX idx_transactions_type ON transactions(type)`,
-      `CREATE INDEX idx_logs_level ON logs(level)`
-    ];
+    let schema;
+    try {
+      schema = fs.readFileSync(this.schemaPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Unable to load schema file ${this.schemaPath}: ${error.message}`);
+    }
+    await this.db.exec(schema);
 
-    for (const sql of tables) {
-      await this.runQuery(sql);
-      console.log(`   - Created table/index: ${sql.split(' ')[2]}`);
+    const created = await this.getAllQuery("SELECT name FROM sqlite_master WHERE type IN ('table', 'index') AND name NOT LIKE 'sqlite_%' ORDER BY rowid");
+    for (const { name } of created) {
+      console.log(`   - Created table/index: ${name}`);
     }
   }
 
-  async runQuery(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function (err) {
-        if (err) reject(err);
-        else resolve({ lastID: this.lastID, changes: this.changes });
-      });
+  async getTableNames() {
+    const rows = await this.getAllQuery("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return rows.map(row => row.name);
+  }
+
+  // Opens a connection and tracks it until it is closed. While a phase is being aborted
+  // every call on it fails, so the phase unwinds at its next statement. Calls on the
+  // synchronous drivers resolve without the event loop ever getting a turn, which would
+  // hold back signals and timeouts until the phase ends; so at least every
+  // EVENT_LOOP_TURN_MS a call waits for one first.
+  connect(driverName, file, options = {}) {
+    const connection = openDatabase(driverName, file, options);
+    const { exec, prepare, close } = connection;
+    let lastTurn = Date.now();
+    const guard = call => async (...args) => {
+      if (Date.now() - lastTurn >= EVENT_LOOP_TURN_MS) {
+        await new Promise(resolve => setImmediate(resolve));
+        lastTurn = Date.now();
+      }
+      if (this.abort) throw this.abort.error;
+      return call(...args);
+    };
+    for (const method of ['run', 'all', 'exec']) {
+      connection[method] = guard(connection[method]);
+    }
+    connection.prepare = guard(async sql => {
+      const statement = await prepare(sql);
+      return { ...statement, run: guard(statement.run) };
     });
+    // Without a transaction open ROLLBACK fails, which is fine
+    connection.rollback = () => exec('ROLLBACK').catch(() => {});
+    connection.close = () => {
+      this.connections.delete(connection);
+      return close();
+    };
+    this.connections.add(connection);
+    return connection;
+  }
+
+  async runQuery(sql, params = []) {
+    return this.db.run(sql, params);
   }
 
   async getAllQuery(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return this.db.all(sql, params);
+  }
+
+  async prepareStatement(sql) {
+    return this.db.prepare(sql);
+  }
+
+  async runStatement(statement, params = []) {
+    return statement.run(params);
+  }
+
+  async finalizeStatement(statement) {
+    return statement.finalize();
+  }
+
+  createLatencyRecorder() {
+    return new LatencyRecorder(this.config.latency.histogramBucketsMs);
+  }
+
+  // Record how many rows a statement reported changing next to how many it should have
+  // changed; mismatches fail the phase in the integrity verification that follows it
+  checkRowCount(operation, expected, actual) {
+    this.rowCountChecks.push({ operation: operation, expected: expected, actual: actual });
   }
 
   generateRandomUser(id) {
@@ -144,11 +845,11 @@ class SQLiteStressTest {
     const salaryRange = this.config.dataGeneration.salaryRange;
 
     return {
-      username: usernames[Math.floor(Math.random() * usernames.length)] + id,
-      email: `user${id}@${domains[Math.floor(Math.random() * domains.length)]}`,
-      age: Math.floor(Math.random() * (ageRange.max - ageRange.min + 1)) + ageRange.min,
-      salary: Math.random() * (salaryRange.max - salaryRange.min) + salaryRange.min,
-      is_active: Math.random() > 0.5,
+      username: this.random.pick(usernames) + id,
+      email: `user${id}@${this.random.pick(domains)}`,
+      age: this.random.int(ageRange.min, ageRange.max),
+      salary: this.random.float(salaryRange.min, salaryRange.max),
+      is_active: this.random.bool(),
       profile_data: Buffer.from(JSON.stringify({ preferences: { theme: 'dark' }, settings: { notifications: true } }))
     };
   }
@@ -160,26 +861,36 @@ class SQLiteStressTest {
 
     return {
       user_id: userId,
-      amount: (Math.random() * (amountRange.max - amountRange.min)) + amountRange.min,
-      type: types[Math.floor(Math.random() * types.length)],
-      description: descriptions[Math.floor(Math.random() * descriptions.length)]
+      amount: this.random.float(amountRange.min, amountRange.max),
+      type: this.random.pick(types),
+      description: this.random.pick(descriptions)
     };
   }
 
-  generateRandomLog() {
+  generateRandomLog(timestamp) {
     const levels = this.config.dataGeneration.logLevels;
     const messages = this.config.dataGeneration.logMessages;
+    const userIdRange = this.config.dataGeneration.userIdRange;
 
     return {
-      level: levels[Math.floor(Math.random() * levels.length)],
-      message: messages[Math.floor(Math.random() * messages.length)],
+      level: this.random.pick(levels),
+      message: this.random.pick(messages),
+      timestamp: timestamp,
       metadata: JSON.stringify({
-        ip: `192.168.1.${Math.floor(Math.random() * 255)}`,
-        session_id: crypto.randomBytes(16).toString('hex')
+        ip: `192.168.1.${this.random.int(0, 254)}`,
+        session_id: this.random.hex(16),
+        user_id: this.random.int(userIdRange.min, userIdRange.max),
+        status: this.random.pick(this.config.dataGeneration.logStatusCodes),
+        duration_ms: this.random.int(1, 2000)
       })
     };
   }
 
+  // Timestamps in SQLite's own "YYYY-MM-DD HH:MM:SS.SSS" format, so they sort and compare as text
+  formatSqliteTimestamp(milliseconds) {
+    return new Date(milliseconds).toISOString().replace('T', ' ').replace('Z', '');
+  }
+
   async testInsertPerformance() {
     console.log('🔄 Testing INSERT performance...');
 
@@ -189,20 +900,24 @@ class SQLiteStressTest {
     const progressInterval = this.config.insertPerformance.progressReportInterval;
     let totalInserted = 0;
 
+    const singleInsertLatency = this.createLatencyRecorder();
+    const commitLatency = this.createLatencyRecorder();
+
     // Test individual inserts
     const singleInsertStart = Date.now();
     for (let i = 0; i < singleInserts; i++) {
       const user = this.generateRandomUser(i);
-      await this.runQuery(
+      const inserted = await singleInsertLatency.time(() => this.runQuery(
         'INSERT INTO users (username, email, age, salary, is_active, profile_data) VALUES (?, ?, ?, ?, ?, ?)',
         [user.username, user.email, user.age, user.salary, user.is_active, user.profile_data]
-      );
+      ));
+      this.ledger.record('users', inserted.lastID, user);
       totalInserted++;
       if (i % progressInterval === 0 || i === singleInserts - 1) {
-        process.stdout.write(`     - Single inserts progress: ${i + 1} / ${singleInserts}\r`);
+        this.dashboard.progress('Single inserts', i + 1, singleInserts, { unit: 'rows', latency: singleInsertLatency });
       }
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     const singleInsertTime = Date.now() - singleInsertStart;
 
     // Test batch inserts with transactions
@@ -212,19 +927,20 @@ class SQLiteStressTest {
 
       for (let i = 0; i < batchSize; i++) {
         const user = this.generateRandomUser(singleInserts + (batch * batchSize) + i);
-        await this.runQuery(
+        const inserted = await this.runQuery(
           'INSERT INTO users (username, email, age, salary, is_active, profile_data) VALUES (?, ?, ?, ?, ?, ?)',
           [user.username, user.email, user.age, user.salary, user.is_active, user.profile_data]
         );
+        this.ledger.record('users', inserted.lastID, user);
         totalInserted++;
       }
       if (batch % progressInterval === 0 || batch === Math.floor(this.testRecords / batchSize) - 1) {
-        process.stdout.write(`     - Batch inserts progress: ${batch + 1} / ${Math.floor(this.testRecords / batchSize)}\r`);
+        this.dashboard.progress('Batch inserts', batch + 1, Math.floor(this.testRecords / batchSize), { unit: 'batches', latency: commitLatency });
       }
 
-      await this.runQuery('COMMIT');
+      await commitLatency.time(() => this.runQuery('COMMIT'));
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     const batchInsertTime = Date.now() - batchInsertStart;
 
     const totalTime = Date.now() - startTime;
@@ -236,97 +952,416 @@ class SQLiteStressTest {
       batchInsertTime: batchInsertTime,
       recordsPerSecond: Math.round(totalInserted / (totalTime / 1000)),
       singleInsertRate: Math.round(singleInserts / (singleInsertTime / 1000)),
-      batchInsertRate: Math.round((totalInserted - singleInserts) / (batchInsertTime / 1000))
+      batchInsertRate: Math.round((totalInserted - singleInserts) / (batchInsertTime / 1000)),
+      latency: {
+        singleInsert: singleInsertLatency.summary(),
+        batchCommit: commitLatency.summary()
+      }
     };
-  }
 
-  async testSelectPerformance() {
-    console.log('🔍 Testing SELECT performance...');
-
-    const selectAllLimit = this.config.selectPerformance.selectAllLimit;
-    const joinLimit = this.config.selectPerformance.joinLimit;
-    const salaryThreshold = this.config.dataGeneration.salaryRange.max / 2; // Use half of max salary as threshold
+    const strategies = (this.config.insertPerformance.strategyComparison.strategies || []).filter(name => {
+      const feature = INSERT_STRATEGIES[name].feature;
+      if (!feature || this.db.features[feature]) return true;
+      console.log(`     - Skipping insert strategy ${name}: not supported by ${this.driverName}`);
+      return false;
+    });
+    if (strategies.length > 0 && this.config.insertPerformance.strategyComparison.rows > 0) {
+      this.results.tests.insertPerformance.strategies = await this.compareInsertStrategies(strategies);
+    }
+  }
 
-    const tests = [
-      { name: 'selectAll', query: `SELECT * FROM users LIMIT ${selectAllLimit}` },
-      { name: 'selectWithIndex', query: 'SELECT * FROM users WHERE email LIKE ?', params: ['%@gmail.com'] },
-      { name: 'selectWithoutIndex', query: 'SELECT * FROM users WHERE salary > ?', params: [salaryThreshold] },
-      { name: 'selectCount', query: 'SELECT COUNT(*) as count FROM users' },
-      {
-        name: 'selectJoin', query: `
-                SELECT u.username, u.email, COUNT(t.id) as transaction_count
-                FROM users u
-                LEFT JOIN transactions t ON u.id = t.user_id
-                GROUP BY u.id
-                LIMIT ${joinLimit}
-            ` },
-      { name: 'selectAggregate', query: 'SELECT AVG(age) as avg_age, MIN(age) as min_age, MAX(age) as max_age FROM users' }
-    ];
+  // Insert the same generated rows with every strategy, each into a fresh copy of the
+  // users table and committed every batchSize rows, so only the insert path differs
+  async compareInsertStrategies(strategies) {
+    const comparison = this.config.insertPerformance.strategyComparison;
+    const batchSize = this.config.insertPerformance.batchSize;
 
-    this.results.tests.selectPerformance = {};
+    const rows = [];
+    for (let i = 0; i < comparison.rows; i++) {
+      const user = this.generateRandomUser(i);
+      rows.push(USER_INSERT_COLUMNS.map(column => user[column]));
+    }
+    const batches = [];
+    for (let i = 0; i < rows.length; i += batchSize) {
+      batches.push(rows.slice(i, i + batchSize));
+    }
 
-    let i = 0;
-    for (const test of tests) {
-      i++;
-      process.stdout.write(`     - Running select test ${i}/${tests.length}: ${test.name.padEnd(20)}\r`);
-      const startTime = Date.now();
-      const result = await this.getAllQuery(test.query, test.params || []);
-      const endTime = Date.now();
+    const results = {};
+    for (const [i, name] of strategies.entries()) {
+      this.dashboard.progress('Insert strategies', i + 1, strategies.length, { detail: name });
+      // A failed strategy leaves its batch transaction open; the table goes either way
+      try {
+        await this.runQuery(`CREATE TABLE insert_strategy_test (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL,
+                email TEXT NOT NULL,
+                age INTEGER,
+                salary REAL,
+                is_active BOOLEAN,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                profile_data BLOB
+            )`);
+        await this.runQuery('CREATE INDEX idx_insert_strategy_test_email ON insert_strategy_test(email)');
+
+        const start = process.hrtime.bigint();
+        const statements = await this[INSERT_STRATEGIES[name].method](batches, comparison);
+        const time = Number(process.hrtime.bigint() - start) / 1e6;
+
+        const inserted = (await this.getAllQuery('SELECT COUNT(*) AS count FROM insert_strategy_test'))[0].count;
+        results[name] = {
+          rows: inserted,
+          statements: statements,
+          time: Math.round(time * 1000) / 1000,
+          rowsPerSecond: Math.round(inserted / (time / 1000))
+        };
+      } finally {
+        await this.db.rollback();
+        await this.runQuery('DROP TABLE IF EXISTS insert_strategy_test');
+      }
+    }
+    this.dashboard.endStep();
 
-      this.results.tests.selectPerformance[test.name] = {
-        executionTime: endTime - startTime,
-        rowsReturned: result.length,
-        ratePerSecond: result.length > 0 ? Math.round(result.length / ((endTime - startTime) / 1000)) : 0
-      };
+    const reference = results.reprepare?.rowsPerSecond;
+    for (const result of Object.values(results)) {
+      result.speedup = reference ? (result.rowsPerSecond / reference).toFixed(2) + 'x' : 'N/A';
     }
-    process.stdout.write('\n');
+    return results;
   }
 
-  async testUpdatePerformance() {
-    console.log('✏️ Testing UPDATE performance...');
+  // Each strategy below inserts the batches (one transaction per batch) and returns the number of statements executed
+  async insertRowsReprepare(batches) {
+    const sql = `INSERT INTO insert_strategy_test (${USER_INSERT_COLUMNS.join(', ')}) VALUES (${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`;
+    let statements = 0;
+    for (const batch of batches) {
+      await this.runQuery('BEGIN TRANSACTION');
+      for (const row of batch) {
+        await this.runQuery(sql, row);
+        statements++;
+      }
+      await this.runQuery('COMMIT');
+    }
+    return statements;
+  }
 
-    const startTime = Date.now();
+  async insertRowsPrepared(batches) {
+    const statement = await this.prepareStatement(`INSERT INTO insert_strategy_test (${USER_INSERT_COLUMNS.join(', ')}) VALUES (${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`);
+    let statements = 0;
+    try {
+      for (const batch of batches) {
+        await this.runQuery('BEGIN TRANSACTION');
+        for (const row of batch) {
+          await this.runStatement(statement, row);
+          statements++;
+        }
+        await this.runQuery('COMMIT');
+      }
+    } finally {
+      await this.finalizeStatement(statement);
+    }
+    return statements;
+  }
+
+  async insertRowsMultiRow(batches, comparison) {
+    // SQLite allows at most 32766 bound parameters per statement
+    const width = Math.max(1, Math.min(comparison.multiRowWidth, Math.floor(32766 / USER_INSERT_COLUMNS.length)));
+    const tuple = `(${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlFor = count => `INSERT INTO insert_strategy_test (${USER_INSERT_COLUMNS.join(', ')}) VALUES ${Array(count).fill(tuple).join(', ')}`;
+    const fullWidth = await this.prepareStatement(sqlFor(width));
+    let statements = 0;
+    try {
+      for (const batch of batches) {
+        await this.runQuery('BEGIN TRANSACTION');
+        for (let i = 0; i < batch.length; i += width) {
+          const chunk = batch.slice(i, i + width);
+          if (chunk.length === width) {
+            await this.runStatement(fullWidth, chunk.flat());
+          } else {
+            await this.runQuery(sqlFor(chunk.length), chunk.flat());
+          }
+          statements++;
+        }
+        await this.runQuery('COMMIT');
+      }
+    } finally {
+      await this.finalizeStatement(fullWidth);
+    }
+    return statements;
+  }
+
+  // The rows are generated inside SQLite from a recursive CTE, one statement per batch.
+  // Values are derived from the row number, so they differ from the other strategies'
+  // rows but have the same shape and size.
+  async insertRowsFromCte(batches) {
+    const ageRange = this.config.dataGeneration.ageRange;
+    const salaryRange = this.config.dataGeneration.salaryRange;
+    const profileData = batches[0]?.[0]?.[USER_INSERT_COLUMNS.indexOf('profile_data')] ?? null;
+    let first = 0;
+    for (const batch of batches) {
+      await this.runQuery('BEGIN TRANSACTION');
+      await this.runQuery(`
+                WITH RECURSIVE seq(n) AS (SELECT ? UNION ALL SELECT n + 1 FROM seq WHERE n < ?)
+                INSERT INTO insert_strategy_test (${USER_INSERT_COLUMNS.join(', ')})
+                SELECT 'cte_user' || n, 'user' || n || '@cte.test', ? + (n * 7919) % ?, ? + (n * 104729) % ?, n % 2, ?
+                FROM seq
+            `, [first, first + batch.length - 1, ageRange.min, ageRange.max - ageRange.min + 1, salaryRange.min, Math.max(1, salaryRange.max - salaryRange.min), profileData]);
+      await this.runQuery('COMMIT');
+      first += batch.length;
+    }
+    return batches.length;
+  }
+
+  // Queue every statement at once in serialized mode and only wait for the last one.
+  // Works on the sqlite3 handle and statement directly, as the queueing is what is measured.
+  async insertRowsSerialized(batches) {
+    const db = this.db.handle;
+    const statement = await new Promise((resolve, reject) => {
+      const prepared = db.prepare(`INSERT INTO insert_strategy_test (${USER_INSERT_COLUMNS.join(', ')}) VALUES (${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`, err => (err ? reject(err) : resolve(prepared)));
+    });
+    let statements = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        let firstError = null;
+        const onDone = err => { if (err && !firstError) firstError = err; };
+        db.serialize(() => {
+          for (const batch of batches) {
+            db.run('BEGIN TRANSACTION', onDone);
+            for (const row of batch) {
+              statement.run(row, onDone);
+              statements++;
+            }
+            db.run('COMMIT', onDone);
+          }
+          db.run('SELECT 1', err => {
+            onDone(err);
+            if (firstError) reject(firstError);
+            else resolve();
+          });
+        });
+      });
+    } finally {
+      await new Promise(resolve => statement.finalize(() => resolve()));
+    }
+    return statements;
+  }
+
+  async testSelectPerformance() {
+    console.log('🔍 Testing SELECT performance...');
+
+    const selectAllLimit = this.config.selectPerformance.selectAllLimit;
+    const joinLimit = this.config.selectPerformance.joinLimit;
+    const salaryThreshold = this.config.dataGeneration.salaryRange.max / 2; // Use half of max salary as threshold
+
+    const tests = [
+      { name: 'selectAll', query: `SELECT * FROM users LIMIT ${selectAllLimit}` },
+      { name: 'selectWithIndex', query: 'SELECT * FROM users WHERE email LIKE ?', params: ['%@gmail.com'] },
+      { name: 'selectWithoutIndex', query: 'SELECT * FROM users WHERE salary > ?', params: [salaryThreshold] },
+      { name: 'selectAgeRange', query: 'SELECT * FROM users WHERE age BETWEEN ? AND ?', params: [30, 35] },
+      { name: 'selectCount', query: 'SELECT COUNT(*) as count FROM users' },
+      {
+        name: 'selectJoin', query: `
+                SELECT u.username, u.email, COUNT(t.id) as transaction_count
+                FROM users u
+                LEFT JOIN transactions t ON u.id = t.user_id
+                GROUP BY u.id
+                LIMIT ${joinLimit}
+            ` },
+      { name: 'selectAggregate', query: 'SELECT AVG(age) as avg_age, MIN(age) as min_age, MAX(age) as max_age FROM users' }
+    ];
+
+    const iterations = Math.max(1, this.config.selectPerformance.iterations);
+    this.results.tests.selectPerformance = {};
+
+    let i = 0;
+    for (const test of tests) {
+      i++;
+      this.dashboard.progress('Select tests', i, tests.length, { detail: test.name });
+      const result = await this.benchmarkQuery(test.query, test.params, iterations);
+      this.results.tests.selectPerformance[test.name] = {
+        executionTime: result.executionTime,
+        rowsReturned: result.rowsReturned,
+        ratePerSecond: result.rowsReturned > 0 && result.executionTime > 0 ? Math.round(result.rowsReturned / (result.executionTime / 1000)) : 0,
+        ...result
+      };
+    }
+    this.dashboard.endStep();
+
+    const compareIndexes = this.config.selectPerformance.compareIndexes || [];
+    if (compareIndexes.length > 0) {
+      this.results.tests.indexComparison = await this.compareIndexes(compareIndexes, tests, this.results.tests.selectPerformance, iterations);
+    }
+  }
+
+  // Run every query whose plan uses an index again with that index dropped, then restore it.
+  // Queries whose plan does not mention the index cannot change, so they are not re-run.
+  async compareIndexes(indexNames, tests, withIndex, iterations) {
+    const comparison = {};
+    for (const indexName of indexNames) {
+      const rows = await this.getAllQuery("SELECT sql FROM sqlite_master WHERE type = 'index' AND name = ?", [indexName]);
+      if (!rows[0]?.sql) {
+        // Automatic indexes (UNIQUE / PRIMARY KEY constraints) cannot be dropped
+        comparison[indexName] = { error: `No droppable index named "${indexName}"` };
+        continue;
+      }
+
+      // The plan names the index followed by its constraints in parentheses, if any
+      const usage = new RegExp(`INDEX ${escapeRegExp(indexName)}(?= |$)`);
+      const usedBy = tests.filter(test => withIndex[test.name].plan.some(line => usage.test(line)));
+      const queries = {};
+      console.log(`     - Re-running ${usedBy.length} quer${usedBy.length === 1 ? 'y' : 'ies'} without ${indexName}`);
+      await this.runQuery(`DROP INDEX ${quoteIdentifier(indexName)}`);
+      try {
+        for (const test of usedBy) {
+          const without = await this.benchmarkQuery(test.query, test.params, iterations);
+          const withTime = withIndex[test.name].executionTime;
+          queries[test.name] = {
+            withIndexTime: withTime,
+            withoutIndexTime: without.executionTime,
+            speedup: withTime > 0 ? (without.executionTime / withTime).toFixed(1) + 'x' : 'N/A',
+            planWithoutIndex: without.plan
+          };
+        }
+      } finally {
+        await this.runQuery(rows[0].sql);
+      }
+      comparison[indexName] = { usedBy: usedBy.map(test => test.name), queries: queries };
+    }
+    return comparison;
+  }
+
+  // EXPLAIN QUERY PLAN as indented lines, plus the steps worth flagging:
+  // full table scans (SCAN without an index) and temporary B-trees for sorting/grouping
+  async explainQuery(sql, params = []) {
+    const rows = await this.getAllQuery(`EXPLAIN QUERY PLAN ${sql}`, params);
+    const depth = { 0: -1 };
+    const plan = rows.map(row => {
+      depth[row.id] = (depth[row.parent] ?? -1) + 1;
+      return `${'  '.repeat(depth[row.id])}${row.detail}`;
+    });
+    return {
+      plan: plan,
+      fullScans: rows.map(row => /^SCAN (\S+)(?: AS \S+)?$/.exec(row.detail)).filter(match => match && match[1] !== 'CONSTANT').map(match => match[1]),
+      tempBTrees: rows.map(row => /^USE TEMP B-TREE FOR (.+)$/.exec(row.detail)).filter(Boolean).map(match => match[1])
+    };
+  }
+
+  // Time a query `iterations` times. Besides wall-clock latency this records the plan,
+  // the statement with its bound values from the sqlite3 'trace' event and the engine time
+  // SQLite reports through 'profile' events (whole milliseconds). SQLite keeps only one of
+  // these legacy hooks at a time, so the first run is traced and the others are profiled.
+  async benchmarkQuery(sql, params = [], iterations = 1) {
+    const paramsFor = typeof params === 'function' ? params : () => params;
+    const latency = this.createLatencyRecorder();
+    const profile = [];
+    const traced = [];
+    const onProfile = (statement, time) => { if (statement === sql) profile.push(time); };
+    const onTrace = statement => traced.push(statement);
+    // Hook events are delivered asynchronously; give the last ones a moment to arrive
+    const waitFor = async (done) => {
+      for (let wait = 0; !done() && wait < 10; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    };
+
+    const explained = await this.explainQuery(sql, paramsFor(0));
+
+    // sqlite3 keeps the event loop alive while a listener is attached, so always detach them.
+    // Other drivers have no trace or profile hook and only get timed.
+    const hooks = this.db.features.events ? this.db.handle : null;
+    let result;
+    for (let run = 0; run < iterations; run++) {
+      const [event, listener, received] = run === 0 ? ['trace', onTrace, () => traced.length > 0] : ['profile', onProfile, () => profile.length >= iterations - 1];
+      if (hooks && run <= 1) hooks.on(event, listener);
+      try {
+        const runParams = paramsFor(run);
+        result = await latency.time(() => this.getAllQuery(sql, runParams));
+      } finally {
+        if (hooks && (run === 0 || run === iterations - 1)) {
+          await waitFor(received);
+          hooks.removeListener(event, listener);
+        }
+      }
+    }
+
+    const summary = latency.summary();
+    return {
+      executionTime: summary.mean,
+      rowsReturned: result.length,
+      engineTime: profile.length > 0 ? Math.round(profile.reduce((sum, time) => sum + time, 0) / profile.length * 1000) / 1000 : null,
+      tracedSql: traced[0] || null,
+      plan: explained.plan,
+      fullScans: explained.fullScans,
+      tempBTrees: explained.tempBTrees,
+      latency: summary
+    };
+  }
+
+  async testUpdatePerformance() {
+    console.log('✏️ Testing UPDATE performance...');
+
+    const startTime = Date.now();
     const singleUpdates = this.config.updatePerformance.singleUpdates;
     const batchUpdates = this.config.updatePerformance.batchUpdates;
     const singleProgressInterval = this.config.updatePerformance.singleUpdateProgressInterval;
     const batchProgressInterval = this.config.updatePerformance.batchUpdateProgressInterval;
     const ageThreshold = this.config.dataGeneration.ageRange.min + 12; // Use min age + 12 as threshold
 
+    // Rows each step should change, counted up front so the checks stay out of the timings
+    const countRows = async (where, params = []) => (await this.getAllQuery(`SELECT COUNT(*) AS count FROM users WHERE ${where}`, params))[0].count;
+    const expectedSingle = await countRows('id BETWEEN 1 AND ?', [singleUpdates]);
+    const expectedBatch = await countRows('id BETWEEN ? AND ?', [singleUpdates + 1, singleUpdates + batchUpdates]);
+
     // Single updates
+    const singleUpdateLatency = this.createLatencyRecorder();
     const singleUpdateStart = Date.now();
+    let singleChanged = 0;
     for (let i = 0; i < singleUpdates; i++) {
-      await this.runQuery('UPDATE users SET salary = salary * 1.1 WHERE id = ?', [i + 1]);
+      const updated = await singleUpdateLatency.time(() => this.runQuery('UPDATE users SET salary = salary * 1.1 WHERE id = ?', [i + 1]));
+      singleChanged += updated.changes;
+      this.ledger.update('users', i + 1, row => ({ salary: row.salary * 1.1 }));
       if (i % singleProgressInterval === 0 || i === singleUpdates - 1) {
-        process.stdout.write(`     - Single updates progress: ${i + 1} / ${singleUpdates}\r`);
+        this.dashboard.progress('Single updates', i + 1, singleUpdates, { unit: 'rows', latency: singleUpdateLatency });
       }
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     const singleUpdateTime = Date.now() - singleUpdateStart;
 
     // Batch updates
     const batchUpdateStart = Date.now();
+    let batchChanged = 0;
     await this.runQuery('BEGIN TRANSACTION');
     for (let i = singleUpdates; i < singleUpdates + batchUpdates; i++) {
-      await this.runQuery('UPDATE users SET is_active = ? WHERE id = ?', [Math.random() > 0.5, i + 1]);
+      const isActive = this.random.bool();
+      const updated = await this.runQuery('UPDATE users SET is_active = ? WHERE id = ?', [isActive, i + 1]);
+      batchChanged += updated.changes;
+      this.ledger.update('users', i + 1, () => ({ is_active: isActive }));
       if ((i - singleUpdates) % batchProgressInterval === 0 || i === singleUpdates + batchUpdates - 1) {
-        process.stdout.write(`     - Batch updates progress: ${i - singleUpdates + 1} / ${batchUpdates}\r`);
+        this.dashboard.progress('Batch updates', i - singleUpdates + 1, batchUpdates, { unit: 'rows' });
       }
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     await this.runQuery('COMMIT');
     const batchUpdateTime = Date.now() - batchUpdateStart;
 
     // Bulk update
+    const expectedBulk = await countRows(`age < ${ageThreshold}`);
     const bulkUpdateStart = Date.now();
     const result = await this.runQuery(`UPDATE users SET age = age + 1 WHERE age < ${ageThreshold}`);
     const bulkUpdateTime = Date.now() - bulkUpdateStart;
+    this.ledger.updateWhere('users', row => row.age < ageThreshold, row => ({ age: row.age + 1 }));
+
+    this.checkRowCount('Single updates', expectedSingle, singleChanged);
+    this.checkRowCount('Batch updates', expectedBatch, batchChanged);
+    this.checkRowCount('Bulk update', expectedBulk, result.changes);
 
     this.results.tests.updatePerformance = {
       singleUpdateTime: singleUpdateTime,
       batchUpdateTime: batchUpdateTime,
       bulkUpdateTime: bulkUpdateTime,
       bulkRowsAffected: result.changes,
-      totalTime: Date.now() - startTime
+      totalTime: Date.now() - startTime,
+      latency: {
+        singleUpdate: singleUpdateLatency.summary()
+      }
     };
   }
 
@@ -338,44 +1373,63 @@ class SQLiteStressTest {
     const singleDeletes = this.config.deletePerformance.singleDeletes;
     const progressInterval = this.config.deletePerformance.progressReportInterval;
     const batchProgressInterval = this.config.deletePerformance.batchProgressInterval;
-    const baseId = 100000; // Base ID for test data
 
-    // Insert some test data for deletion
+    // Insert some test data for deletion, remembering the ids it was given
+    const testIds = [];
     await this.runQuery('BEGIN TRANSACTION');
     for (let i = 0; i < testDataRecords; i++) {
-      const user = this.generateRandomUser(baseId + i);
-      await this.runQuery(
+      const user = this.generateRandomUser(100000 + i);
+      const inserted = await this.runQuery(
         'INSERT INTO users (username, email, age, salary, is_active, profile_data) VALUES (?, ?, ?, ?, ?, ?)',
         [user.username, user.email, user.age, user.salary, user.is_active, user.profile_data]
       );
+      this.ledger.record('users', inserted.lastID, user);
+      testIds.push(inserted.lastID);
       if (i % batchProgressInterval === 0 || i === testDataRecords - 1) {
-        process.stdout.write(`     - Preparing delete test data: ${i + 1} / ${testDataRecords}\r`);
+        this.dashboard.progress('Preparing delete test data', i + 1, testDataRecords, { unit: 'rows' });
       }
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     await this.runQuery('COMMIT');
 
     // Single deletes
+    const singleDeleteLatency = this.createLatencyRecorder();
     const singleDeleteStart = Date.now();
-    for (let i = 0; i < singleDeletes; i++) {
-      await this.runQuery('DELETE FROM users WHERE id = ?', [baseId + i + 1]);
-      if (i % progressInterval === 0 || i === singleDeletes - 1) {
-        process.stdout.write(`     - Single deletes progress: ${i + 1} / ${singleDeletes}\r`);
+    const singleDeleteIds = testIds.slice(0, singleDeletes);
+    let singleDeleted = 0;
+    for (let i = 0; i < singleDeleteIds.length; i++) {
+      const deleted = await singleDeleteLatency.time(() => this.runQuery('DELETE FROM users WHERE id = ?', [singleDeleteIds[i]]));
+      singleDeleted += deleted.changes;
+      this.ledger.delete('users', singleDeleteIds[i]);
+      if (i % progressInterval === 0 || i === singleDeleteIds.length - 1) {
+        this.dashboard.progress('Single deletes', i + 1, singleDeleteIds.length, { unit: 'rows', latency: singleDeleteLatency });
       }
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
     const singleDeleteTime = Date.now() - singleDeleteStart;
 
-    // Bulk delete
+    // Bulk delete of the remaining test data. The ids are consecutive: they were
+    // inserted in one transaction on this connection
+    const bulkDeleteIds = testIds.slice(singleDeletes);
+    const bulkRange = bulkDeleteIds.length > 0 ? [bulkDeleteIds[0], bulkDeleteIds[bulkDeleteIds.length - 1]] : [0, -1];
     const bulkDeleteStart = Date.now();
-    const result = await this.runQuery(`DELETE FROM users WHERE id > ${baseId + singleDeletes}`);
+    const result = await this.runQuery('DELETE FROM users WHERE id BETWEEN ? AND ?', bulkRange);
     const bulkDeleteTime = Date.now() - bulkDeleteStart;
+    for (const id of bulkDeleteIds) {
+      this.ledger.delete('users', id);
+    }
+
+    this.checkRowCount('Single deletes', singleDeleteIds.length, singleDeleted);
+    this.checkRowCount('Bulk delete', bulkDeleteIds.length, result.changes);
 
     this.results.tests.deletePerformance = {
       singleDeleteTime: singleDeleteTime,
       bulkDeleteTime: bulkDeleteTime,
       bulkRowsDeleted: result.changes,
-      totalTime: Date.now() - startTime
+      totalTime: Date.now() - startTime,
+      latency: {
+        singleDelete: singleDeleteLatency.summary()
+      }
     };
   }
 
@@ -387,21 +1441,29 @@ class SQLiteStressTest {
     const progressInterval = this.config.transactionPerformance.progressReportInterval;
     const userIdRange = this.config.dataGeneration.userIdRange;
 
-    // Add some transactions
-    await this.runQuery('BEGIN TRANSACTION');
+    // Add some transactions, committing every transactionSize rows
+    const commitLatency = this.createLatencyRecorder();
+    let commits = 0;
     for (let i = 0; i < transactionInserts; i++) {
-      const userId = Math.floor(Math.random() * (userIdRange.max - userIdRange.min + 1)) + userIdRange.min;
+      if (i % this.transactionSize === 0) {
+        await this.runQuery('BEGIN TRANSACTION');
+      }
+      const userId = this.random.int(userIdRange.min, userIdRange.max);
       const transaction = this.generateRandomTransaction(userId);
-      await this.runQuery(
+      const inserted = await this.runQuery(
         'INSERT INTO transactions (user_id, amount, type, description) VALUES (?, ?, ?, ?)',
         [transaction.user_id, transaction.amount, transaction.type, transaction.description]
       );
+      this.ledger.record('transactions', inserted.lastID, transaction);
+      if (i % this.transactionSize === this.transactionSize - 1 || i === transactionInserts - 1) {
+        await commitLatency.time(() => this.runQuery('COMMIT'));
+        commits++;
+      }
       if (i % progressInterval === 0 || i === transactionInserts - 1) {
-        process.stdout.write(`     - Transaction inserts progress: ${i + 1} / ${transactionInserts}\r`);
+        this.dashboard.progress('Transaction inserts', i + 1, transactionInserts, { unit: 'rows', latency: commitLatency });
       }
     }
-    process.stdout.write('\n');
-    await this.runQuery('COMMIT');
+    this.dashboard.endStep();
 
     // Test nested transactions and rollbacks
     const rollbackStart = Date.now();
@@ -414,14 +1476,587 @@ class SQLiteStressTest {
       await this.runQuery('ROLLBACK');
     }
     const rollbackTime = Date.now() - rollbackStart;
+    const rolledBack = await this.getAllQuery("SELECT COUNT(*) AS count FROM users WHERE username IN ('test_rollback', 'test_rollback2')");
+    this.checkRowCount('Rows left by rolled back transaction', 0, rolledBack[0].count);
 
     this.results.tests.transactionPerformance = {
+      transactionSize: this.transactionSize,
+      commits: commits,
       batchInsertTime: Date.now() - startTime - rollbackTime,
       rollbackTime: rollbackTime,
+      totalTime: Date.now() - startTime,
+      latency: {
+        commit: commitLatency.summary()
+      }
+    };
+  }
+
+  // Run the same insert/update mix once per transaction size. Small sizes are capped at
+  // maxCommits commits so that e.g. size 1 does not need 100k fsyncs.
+  async testCommitSizeSweep() {
+    const sweep = this.config.commitSizeSweep;
+    console.log(`📈 Sweeping commit sizes: ${sweep.sizes.join(', ')}...`);
+
+    const startTime = Date.now();
+    const columns = USER_INSERT_COLUMNS.join(', ');
+    const results = {};
+
+    for (const size of sweep.sizes) {
+      const operations = Math.max(size, Math.min(sweep.operations, size * sweep.maxCommits));
+      const commitLatency = this.createLatencyRecorder();
+      let insert = null;
+      let update = null;
+      let maxId = 0;
+      let commits = 0;
+      let time;
+
+      // A failed size leaves its transaction open; the table goes either way
+      try {
+        await this.runQuery(`CREATE TABLE commit_sweep_test (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL,
+                email TEXT NOT NULL,
+                age INTEGER,
+                salary REAL,
+                is_active BOOLEAN,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                profile_data BLOB
+            )`);
+        insert = await this.prepareStatement(`INSERT INTO commit_sweep_test (${columns}) VALUES (${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`);
+        update = await this.prepareStatement('UPDATE commit_sweep_test SET salary = salary * 1.01 WHERE id = ?');
+
+        const sizeStart = process.hrtime.bigint();
+        for (let i = 0; i < operations; i++) {
+          if (i % size === 0) {
+            await this.runQuery('BEGIN TRANSACTION');
+          }
+          if (maxId > 0 && this.random.bool(sweep.updateRatio)) {
+            await this.runStatement(update, [this.random.int(1, maxId)]);
+          } else {
+            const user = this.generateRandomUser(i);
+            maxId = (await this.runStatement(insert, USER_INSERT_COLUMNS.map(column => user[column]))).lastID;
+          }
+          if (i % size === size - 1 || i === operations - 1) {
+            await commitLatency.time(() => this.runQuery('COMMIT'));
+            commits++;
+            if (commits % 10 === 0 || i === operations - 1) {
+              this.dashboard.progress(`Commit size ${size.toLocaleString()}`, i + 1, operations, { unit: 'ops', latency: commitLatency });
+            }
+          }
+        }
+        time = Number(process.hrtime.bigint() - sizeStart) / 1e6;
+      } finally {
+        if (insert) await this.finalizeStatement(insert);
+        if (update) await this.finalizeStatement(update);
+        await this.db.rollback();
+        await this.runQuery('DROP TABLE IF EXISTS commit_sweep_test');
+      }
+      this.dashboard.endStep();
+
+      const commitSummary = commitLatency.summary();
+      results[size] = {
+        operations: operations,
+        commits: commits,
+        time: Math.round(time * 1000) / 1000,
+        operationsPerSecond: Math.round(operations / (time / 1000)),
+        commitP99: commitSummary.p99,
+        latency: { commit: commitSummary }
+      };
+    }
+
+    // The knee: the smallest size that already reaches kneeThreshold of the best
+    // throughput. Bigger transactions gain little beyond it but hold locks longer.
+    const best = Math.max(...Object.values(results).map(result => result.operationsPerSecond));
+    const knee = [...sweep.sizes].sort((a, b) => a - b).find(size => results[size].operationsPerSecond >= best * sweep.kneeThreshold);
+
+    this.results.tests.commitSizeSweep = {
+      sizes: results,
+      bestOperationsPerSecond: best,
+      kneeSize: knee,
+      kneeThreshold: sweep.kneeThreshold,
+      totalTime: Date.now() - startTime
+    };
+  }
+
+  generateCommitSweepSection(sweep) {
+    if (!sweep) return '';
+
+    const best = sweep.bestOperationsPerSecond;
+    const rows = Object.entries(sweep.sizes).map(([size, result]) =>
+      `| ${Number(size).toLocaleString()}${Number(size) === sweep.kneeSize ? ' ⭐' : ''} | ${result.operations.toLocaleString()} | ${result.commits.toLocaleString()} | ${result.operationsPerSecond.toLocaleString()} | ${this.formatLatency(result.commitP99)} | ${'█'.repeat(Math.max(1, Math.round(result.operationsPerSecond / best * 30)))} |`
+    );
+
+    return `### Commit Size Sweep
+- **Knee**: ${sweep.kneeSize?.toLocaleString() ?? 'N/A'} operations per transaction (smallest size within ${Math.round((1 - sweep.kneeThreshold) * 100)}% of the best throughput)
+- **Best Throughput**: ${best.toLocaleString()} ops/sec
+- **Total Time**: ${this.formatTime(sweep.totalTime)}
+
+| Transaction Size | Operations | Commits | Ops/sec | Commit p99 | Throughput |
+|------------------|------------|---------|---------|------------|------------|
+${rows.join('\n')}
+
+`;
+  }
+
+  async testLogPerformance() {
+    console.log('📜 Testing log ingestion and JSON queries...');
+
+    const startTime = Date.now();
+    const config = this.config.logPerformance;
+    const userIdRange = this.config.dataGeneration.userIdRange;
+    const iterations = Math.max(1, config.queryIterations);
+    const batches = Math.ceil(config.records / config.batchSize);
+    const commitLatency = this.createLatencyRecorder();
+
+    // Append-only, time-ordered ingestion: every row is a bit later than the previous one
+    let clock = Date.parse(config.startTime);
+    const firstTimestamp = clock;
+    const sessionIds = [];
+    let inserted = 0;
+
+    const ingestStart = Date.now();
+    for (let batch = 0; batch < batches; batch++) {
+      await this.runQuery('BEGIN TRANSACTION');
+      for (let i = 0; i < config.batchSize && inserted < config.records; i++) {
+        clock += this.random.int(0, config.averageIntervalMs * 2);
+        const log = this.generateRandomLog(this.formatSqliteTimestamp(clock));
+        const result = await this.runQuery(
+          'INSERT INTO logs (level, message, timestamp, metadata) VALUES (?, ?, ?, ?)',
+          [log.level, log.message, log.timestamp, log.metadata]
+        );
+        this.ledger.record('logs', result.lastID, log);
+        // Keep a few session ids around for the generated column lookups
+        if (sessionIds.length < iterations && this.random.bool(0.01)) {
+          sessionIds.push(JSON.parse(log.metadata).session_id);
+        }
+        inserted++;
+      }
+      await commitLatency.time(() => this.runQuery('COMMIT'));
+      if (batch % config.progressReportInterval === 0 || batch === batches - 1) {
+        this.dashboard.progress('Log ingestion batches', batch + 1, batches, { unit: 'batches', latency: commitLatency });
+      }
+    }
+    this.dashboard.endStep();
+    const ingestTime = Date.now() - ingestStart;
+    const lastTimestamp = clock;
+
+    const queries = {};
+    const runQueries = async (tests) => {
+      for (const test of tests) {
+        this.dashboard.progress('Log queries', Object.keys(queries).length + 1, null, { detail: test.name });
+        queries[test.name] = await this.benchmarkQuery(test.query, test.params, iterations);
+      }
+    };
+
+    const randomUserId = () => [this.random.int(userIdRange.min, userIdRange.max)];
+    const windowMs = Math.max(1, Math.round((lastTimestamp - firstTimestamp) * 0.05));
+    const randomWindow = () => {
+      const from = this.random.int(firstTimestamp, Math.max(firstTimestamp, lastTimestamp - windowMs));
+      return [this.formatSqliteTimestamp(from), this.formatSqliteTimestamp(from + windowMs)];
+    };
+    const jsonFilter = 'SELECT id, timestamp, message FROM logs WHERE json_extract(metadata, \'$.user_id\') = ?';
+
+    // JSON1 filters evaluated on every row
+    await runQueries([
+      { name: 'jsonFilterScan', query: jsonFilter, params: randomUserId },
+      {
+        name: 'jsonAggregate', query: `
+                SELECT json_extract(metadata, '$.status') AS status, COUNT(*) AS count, AVG(json_extract(metadata, '$.duration_ms')) AS avg_duration
+                FROM logs
+                WHERE level = ?
+                GROUP BY status
+            `, params: () => [this.random.pick(this.config.dataGeneration.logLevels)]
+      },
+      { name: 'timeRange', query: 'SELECT level, COUNT(*) AS count FROM logs WHERE timestamp BETWEEN ? AND ? GROUP BY level', params: randomWindow }
+    ]);
+
+    // The same filter with an expression index on the JSON path. The index and the
+    // column below are created only if missing, since a source database or one kept
+    // with --keep-db may still have them from an earlier run, and dropped at the end.
+    const expressionIndexStart = Date.now();
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_logs_metadata_user_id ON logs(json_extract(metadata, \'$.user_id\'))');
+    const expressionIndexTime = Date.now() - expressionIndexStart;
+    await runQueries([{ name: 'jsonFilterIndexed', query: jsonFilter, params: randomUserId }]);
+
+    // A virtual generated column over a JSON path, indexed like a regular column
+    // table_xinfo, unlike table_info, lists generated columns
+    const columns = await this.getAllQuery('SELECT name FROM pragma_table_xinfo(\'logs\')');
+    const addSessionColumn = !columns.some(column => column.name === 'session_id');
+    const generatedColumnStart = Date.now();
+    if (addSessionColumn) {
+      await this.runQuery('ALTER TABLE logs ADD COLUMN session_id TEXT GENERATED ALWAYS AS (json_extract(metadata, \'$.session_id\')) VIRTUAL');
+    }
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_logs_session_id ON logs(session_id)');
+    const generatedColumnTime = Date.now() - generatedColumnStart;
+    if (sessionIds.length > 0) {
+      await runQueries([{ name: 'generatedColumnLookup', query: 'SELECT * FROM logs WHERE session_id = ?', params: run => [sessionIds[run % sessionIds.length]] }]);
+    }
+    this.dashboard.endStep();
+
+    // Time-based retention: delete everything older than the cutoff in small batches,
+    // the way a log store trims itself without holding a long write lock
+    const cutoff = this.formatSqliteTimestamp(firstTimestamp + (lastTimestamp - firstTimestamp) * config.retentionFraction);
+    const expectedDeleted = (await this.getAllQuery('SELECT COUNT(*) AS count FROM logs WHERE timestamp < ?', [cutoff]))[0].count;
+    const retentionLatency = this.createLatencyRecorder();
+    let rowsDeleted = 0;
+    const retentionStart = Date.now();
+    for (;;) {
+      const result = await retentionLatency.time(() => this.runQuery(
+        'DELETE FROM logs WHERE id IN (SELECT id FROM logs WHERE timestamp < ? ORDER BY timestamp LIMIT ?)',
+        [cutoff, config.retentionBatchSize]
+      ));
+      rowsDeleted += result.changes;
+      this.dashboard.progress('Retention deletes', rowsDeleted, null, { unit: 'rows', latency: retentionLatency });
+      if (result.changes < config.retentionBatchSize) break;
+    }
+    this.dashboard.endStep();
+    const retentionTime = Date.now() - retentionStart;
+    this.ledger.deleteWhere('logs', row => row.timestamp < cutoff);
+    this.checkRowCount('Retention deletes', expectedDeleted, rowsDeleted);
+
+    await this.runQuery('DROP INDEX IF EXISTS idx_logs_session_id');
+    await this.runQuery('DROP INDEX IF EXISTS idx_logs_metadata_user_id');
+    if (addSessionColumn) {
+      await this.runQuery('ALTER TABLE logs DROP COLUMN session_id');
+    }
+
+    const scanMean = queries.jsonFilterScan.latency.mean;
+    const indexedMean = queries.jsonFilterIndexed.latency.mean;
+
+    this.results.tests.logPerformance = {
+      totalRecords: inserted,
+      ingestTime: ingestTime,
+      ingestRate: Math.round(inserted / (ingestTime / 1000)),
+      timeSpan: lastTimestamp - firstTimestamp,
+      queries: queries,
+      expressionIndexTime: expressionIndexTime,
+      jsonIndexSpeedup: indexedMean > 0 ? (scanMean / indexedMean).toFixed(1) + 'x' : 'N/A',
+      generatedColumnTime: generatedColumnTime,
+      retentionCutoff: cutoff,
+      retentionRowsDeleted: rowsDeleted,
+      retentionTime: retentionTime,
+      retentionDeleteRate: Math.round(rowsDeleted / (Math.max(1, retentionTime) / 1000)),
+      latency: {
+        batchCommit: commitLatency.summary(),
+        retentionBatch: retentionLatency.summary()
+      },
+      totalTime: Date.now() - startTime
+    };
+  }
+
+  // Words of the generated corpus: the search words and the words of the built-in
+  // descriptions and messages, followed by rarer compounds of them up to vocabularySize
+  buildFtsVocabulary(size) {
+    const data = this.config.dataGeneration;
+    const base = [...new Set([...data.searchWords, ...data.transactionDescriptions, ...data.logMessages]
+      .flatMap(text => text.toLowerCase().split(/\W+/))
+      .filter(Boolean))];
+    const vocabulary = [...base];
+    for (let i = 0; vocabulary.length < size && i < base.length * base.length; i++) {
+      const [first, second] = [base[Math.floor(i / base.length)], base[i % base.length]];
+      if (first !== second) vocabulary.push(first + second);
+    }
+    return vocabulary;
+  }
+
+  // Words are drawn with a skew towards the start of the vocabulary, so a few words are
+  // in most documents and the compounds at the end are rare
+  generateFtsDocument(vocabulary) {
+    const config = this.config.fullTextSearch;
+    const words = count => Array.from({ length: count }, () =>
+      vocabulary[Math.floor(vocabulary.length * this.random.next() ** config.wordSkew)]
+    ).join(' ');
+    return {
+      title: words(this.random.int(3, 8)),
+      body: words(this.random.int(config.wordsPerDocument.min, config.wordsPerDocument.max))
+    };
+  }
+
+  // Bytes used by the named tables and indexes, from the dbstat virtual table, or null
+  // when SQLite was built without it
+  async getObjectSize(names) {
+    const rows = await this.queryDbstat(this.db, `SELECT SUM(pgsize) AS size FROM dbstat WHERE name IN (${names.map(() => '?').join(', ')})`, names);
+    return rows ? rows[0].size || 0 : null;
+  }
+
+  async testFullTextSearch() {
+    const config = this.config.fullTextSearch;
+    const source = FTS_CORPORA[config.corpus];
+    console.log(`🔎 Testing FTS5 full-text search (${source ? `${source.table}.${source.body}` : 'generated'} corpus)...`);
+
+    const startTime = Date.now();
+    const iterations = Math.max(1, config.queryIterations);
+    const vocabulary = this.buildFtsVocabulary(config.vocabularySize);
+    const indexTables = ['data', 'idx', 'docsize', 'config'].map(suffix => `fts_index_${suffix}`);
+    const countSegments = async () => (await this.getAllQuery('SELECT COUNT(DISTINCT segid) AS count FROM fts_index_idx'))[0].count;
+    const insertDocument = document => this.runQuery('INSERT INTO fts_documents (title, body) VALUES (?, ?)', [document.title, document.body]);
+
+    // The index uses fts_documents as external content, so the LIKE baseline runs
+    // against exactly the text that is indexed
+    await this.runQuery('DROP TABLE IF EXISTS fts_index');
+    await this.runQuery('DROP TABLE IF EXISTS fts_documents');
+    await this.runQuery('CREATE TABLE fts_documents (id INTEGER PRIMARY KEY, title TEXT, body TEXT)');
+
+    const corpusStart = Date.now();
+    if (source) {
+      await this.runQuery(
+        `INSERT INTO fts_documents (title, body) SELECT ${quoteIdentifier(source.title)}, ${quoteIdentifier(source.body)} FROM ${quoteIdentifier(source.table)} ORDER BY rowid LIMIT ?`,
+        [config.documents]
+      );
+    } else {
+      const batches = Math.ceil(config.documents / config.batchSize);
+      for (let batch = 0, inserted = 0; batch < batches; batch++) {
+        await this.runQuery('BEGIN TRANSACTION');
+        for (let i = 0; i < config.batchSize && inserted < config.documents; i++, inserted++) {
+          await insertDocument(this.generateFtsDocument(vocabulary));
+        }
+        await this.runQuery('COMMIT');
+        if (batch % config.progressReportInterval === 0 || batch === batches - 1) {
+          this.dashboard.progress('Corpus generation batches', batch + 1, batches, { unit: 'batches' });
+        }
+      }
+      this.dashboard.endStep();
+    }
+    const corpusTime = Date.now() - corpusStart;
+    const [{ count: documents, max_id: maxId }] = await this.getAllQuery('SELECT COUNT(*) AS count, MAX(id) AS max_id FROM fts_documents');
+    if (documents === 0) {
+      throw new Error(`No ${source.table} rows to index; run the ${source.table === 'logs' ? 'logs' : 'insert'} phase first or use the generated corpus`);
+    }
+
+    const tokenizer = config.tokenizer.replace(/'/g, "''");
+    await this.runQuery(`CREATE VIRTUAL TABLE fts_index USING fts5(title, body, content='fts_documents', content_rowid='id', tokenize='${tokenizer}')`);
+    const buildStart = Date.now();
+    await this.runQuery('INSERT INTO fts_index(fts_index) VALUES(\'rebuild\')');
+    const buildTime = Date.now() - buildStart;
+    const contentSize = await this.getObjectSize(['fts_documents']);
+    const indexSize = await this.getObjectSize(indexTables);
+
+    // Query terms come from randomly picked documents, so they follow the word
+    // frequencies of the corpus and every query has at least one match
+    const samples = [];
+    while (samples.length < iterations) {
+      const [row] = await this.getAllQuery('SELECT title, body FROM fts_documents WHERE id >= ? ORDER BY id LIMIT 1', [this.random.int(1, maxId)]);
+      const words = `${row.title} ${row.body}`.toLowerCase().split(/\W+/).filter(Boolean);
+      if (words.length >= 2) samples.push(words);
+    }
+    const pickTerm = words => this.random.pick(words);
+    const pickPhrase = words => {
+      const start = this.random.int(0, words.length - 2);
+      return `${words[start]} ${words[start + 1]}`;
+    };
+    const searchText = '(\' \' || title || \' \' || body || \' \')';
+    const terms = samples.map(pickTerm);
+    const prefixes = samples.map(words => {
+      const word = pickTerm(words);
+      return word.slice(0, Math.max(2, Math.ceil(word.length / 2)));
+    });
+    const phrases = samples.map(pickPhrase);
+    const termPairs = samples.map(words => [pickTerm(words), pickTerm(words)]);
+
+    // Each FTS5 query next to a LIKE scan that finds the same words
+    const queryTests = [
+      {
+        name: 'match',
+        fts: { query: 'SELECT rowid FROM fts_index WHERE fts_index MATCH ?', params: run => [`"${terms[run]}"`] },
+        like: { query: `SELECT id FROM fts_documents WHERE ${searchText} LIKE ?`, params: run => [`% ${terms[run]} %`] }
+      },
+      {
+        name: 'prefix',
+        fts: { query: 'SELECT rowid FROM fts_index WHERE fts_index MATCH ?', params: run => [`"${prefixes[run]}"*`] },
+        like: { query: `SELECT id FROM fts_documents WHERE ${searchText} LIKE ?`, params: run => [`% ${prefixes[run]}%`] }
+      },
+      {
+        name: 'phrase',
+        fts: { query: 'SELECT rowid FROM fts_index WHERE fts_index MATCH ?', params: run => [`"${phrases[run]}"`] },
+        like: { query: `SELECT id FROM fts_documents WHERE ${searchText} LIKE ?`, params: run => [`% ${phrases[run]} %`] }
+      },
+      {
+        name: 'bm25',
+        fts: { query: 'SELECT rowid, bm25(fts_index) AS score FROM fts_index WHERE fts_index MATCH ? ORDER BY score LIMIT 10', params: run => [`"${termPairs[run][0]}" "${termPairs[run][1]}"`] },
+        like: { query: `SELECT id FROM fts_documents WHERE ${searchText} LIKE ? AND ${searchText} LIKE ? LIMIT 10`, params: run => termPairs[run].map(term => `% ${term} %`) }
+      }
+    ];
+    const queries = {};
+    for (const test of queryTests) {
+      this.dashboard.progress('FTS queries', Object.keys(queries).length + 1, queryTests.length, { detail: test.name });
+      const fts = await this.benchmarkQuery(test.fts.query, test.fts.params, iterations);
+      const like = await this.benchmarkQuery(test.like.query, test.like.params, iterations);
+      queries[test.name] = {
+        fts: fts,
+        like: like,
+        speedup: fts.latency.mean > 0 ? (like.latency.mean / fts.latency.mean).toFixed(1) + 'x' : 'N/A'
+      };
+    }
+    this.dashboard.endStep();
+    const matchQuery = queryTests[0].fts;
+
+    // Keep the index in sync with its content table from here on
+    await this.runQuery(`CREATE TRIGGER fts_documents_ai AFTER INSERT ON fts_documents BEGIN
+        INSERT INTO fts_index (rowid, title, body) VALUES (new.id, new.title, new.body);
+    END`);
+    await this.runQuery(`CREATE TRIGGER fts_documents_ad AFTER DELETE ON fts_documents BEGIN
+        INSERT INTO fts_index (fts_index, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    END`);
+    await this.runQuery(`CREATE TRIGGER fts_documents_au AFTER UPDATE ON fts_documents BEGIN
+        INSERT INTO fts_index (fts_index, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+        INSERT INTO fts_index (rowid, title, body) VALUES (new.id, new.title, new.body);
+    END`);
+
+    // Incremental changes, each kind in one transaction. The same statements run first
+    // without the triggers in a transaction that is rolled back, as the cost of the
+    // change to the content table alone.
+    const operations = Math.min(config.incrementalOperations, documents);
+    const deleteIds = new Set();
+    while (deleteIds.size < operations) {
+      deleteIds.add(this.random.int(1, maxId));
+    }
+    const incrementalTests = {
+      insert: { sql: 'INSERT INTO fts_documents (title, body) VALUES (?, ?)', trigger: 'fts_documents_ai', params: Array.from({ length: operations }, () => Object.values(this.generateFtsDocument(vocabulary))) },
+      update: { sql: 'UPDATE fts_documents SET body = ? WHERE id = ?', trigger: 'fts_documents_au', params: Array.from({ length: operations }, () => [this.generateFtsDocument(vocabulary).body, this.random.int(1, maxId)]) },
+      delete: { sql: 'DELETE FROM fts_documents WHERE id = ?', trigger: 'fts_documents_ad', params: [...deleteIds].map(id => [id]) }
+    };
+    const incremental = {};
+    const incrementalLatency = {};
+    for (const [name, test] of Object.entries(incrementalTests)) {
+      this.dashboard.progress('Incremental index maintenance', Object.keys(incremental).length + 1, Object.keys(incrementalTests).length, { detail: `${operations.toLocaleString()} ${name}s` });
+      const withoutIndex = this.createLatencyRecorder();
+      const withIndex = this.createLatencyRecorder();
+      await this.runQuery('BEGIN TRANSACTION');
+      try {
+        await this.runQuery(`DROP TRIGGER ${test.trigger}`);
+        for (const params of test.params) {
+          await withoutIndex.time(() => this.runQuery(test.sql, params));
+        }
+      } catch (err) {
+        await this.db.rollback();
+        throw err;
+      }
+      await this.runQuery('ROLLBACK');
+      await this.runQuery('BEGIN TRANSACTION');
+      let commitStart;
+      try {
+        for (const params of test.params) {
+          await withIndex.time(() => this.runQuery(test.sql, params));
+        }
+        commitStart = Date.now();
+        await this.runQuery('COMMIT');
+      } catch (err) {
+        await this.db.rollback();
+        throw err;
+      }
+      incremental[name] = {
+        operations: test.params.length,
+        meanWithoutIndex: withoutIndex.summary().mean,
+        meanWithIndex: withIndex.summary().mean,
+        commitTime: Date.now() - commitStart
+      };
+      incrementalLatency[`${name}WithIndex`] = withIndex.summary();
+    }
+    this.dashboard.endStep();
+
+    // Small transactions each flush a new segment; automerge decides how eagerly they are merged
+    const automerge = {};
+    for (const setting of config.automerge.settings) {
+      this.dashboard.progress('Automerge settings', Object.keys(automerge).length + 1, config.automerge.settings.length, { detail: `automerge ${setting}, ${config.automerge.transactions} transactions` });
+      await this.runQuery('INSERT INTO fts_index(fts_index) VALUES(\'optimize\')');
+      await this.runQuery('INSERT INTO fts_index(fts_index, rank) VALUES(\'automerge\', ?)', [setting]);
+      const transactionLatency = this.createLatencyRecorder();
+      for (let transaction = 0; transaction < config.automerge.transactions; transaction++) {
+        await transactionLatency.time(async () => {
+          await this.runQuery('BEGIN TRANSACTION');
+          for (let row = 0; row < config.automerge.rowsPerTransaction; row++) {
+            await insertDocument(this.generateFtsDocument(vocabulary));
+          }
+          await this.runQuery('COMMIT');
+        });
+      }
+      const match = await this.benchmarkQuery(matchQuery.query, matchQuery.params, iterations);
+      automerge[setting] = {
+        segments: await countSegments(),
+        indexSize: await this.getObjectSize(indexTables),
+        matchMean: match.latency.mean,
+        latency: { transaction: transactionLatency.summary() }
+      };
+    }
+    this.dashboard.endStep();
+
+    // Merge whatever segments are left into one
+    const segmentsBeforeOptimize = await countSegments();
+    const sizeBeforeOptimize = await this.getObjectSize(indexTables);
+    const matchBeforeOptimize = await this.benchmarkQuery(matchQuery.query, matchQuery.params, iterations);
+    const optimizeStart = Date.now();
+    await this.runQuery('INSERT INTO fts_index(fts_index) VALUES(\'optimize\')');
+    const optimizeTime = Date.now() - optimizeStart;
+    const matchAfterOptimize = await this.benchmarkQuery(matchQuery.query, matchQuery.params, iterations);
+    const optimize = {
+      time: optimizeTime,
+      segmentsBefore: segmentsBeforeOptimize,
+      segmentsAfter: await countSegments(),
+      sizeBefore: sizeBeforeOptimize,
+      sizeAfter: await this.getObjectSize(indexTables),
+      matchMeanBefore: matchBeforeOptimize.latency.mean,
+      matchMeanAfter: matchAfterOptimize.latency.mean
+    };
+    await this.runQuery('INSERT INTO fts_index(fts_index, rank) VALUES(\'automerge\', 4)');
+
+    this.results.tests.fullTextSearch = {
+      corpus: config.corpus,
+      tokenizer: config.tokenizer,
+      documents: documents,
+      vocabularySize: source ? null : vocabulary.length,
+      corpusTime: corpusTime,
+      buildTime: buildTime,
+      buildRate: Math.round(documents / (Math.max(1, buildTime) / 1000)),
+      contentSize: contentSize,
+      indexSize: indexSize,
+      queries: queries,
+      incremental: incremental,
+      automerge: automerge,
+      optimize: optimize,
+      latency: incrementalLatency,
       totalTime: Date.now() - startTime
     };
   }
 
+  generateFullTextSearchSection(fts) {
+    if (!fts) return '';
+
+    // Sizes are null when SQLite was built without dbstat
+    const mb = bytes => bytes === null ? 'N/A' : (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const queryRows = Object.entries(fts.queries).map(([name, q]) =>
+      `| ${name} | ${this.formatLatency(q.fts.latency.mean)} | ${this.formatLatency(q.fts.latency.p99)} | ${q.fts.rowsReturned.toLocaleString()} | ${this.formatLatency(q.like.latency.mean)} | ${this.formatLatency(q.like.latency.p99)} | ${q.like.rowsReturned.toLocaleString()} | ${q.speedup} |`
+    );
+    const incrementalRows = Object.entries(fts.incremental).map(([name, i]) =>
+      `| ${name} | ${i.operations.toLocaleString()} | ${this.formatLatency(i.meanWithoutIndex)} | ${this.formatLatency(i.meanWithIndex)} | ${this.formatTime(i.commitTime)} |`
+    );
+    const automergeRows = Object.entries(fts.automerge).map(([setting, a]) =>
+      `| ${setting} | ${this.formatLatency(a.latency.transaction.p50)} | ${this.formatLatency(a.latency.transaction.p99)} | ${this.formatLatency(a.latency.transaction.max)} | ${a.segments} | ${mb(a.indexSize)} | ${this.formatLatency(a.matchMean)} |`
+    );
+    const o = fts.optimize;
+
+    return `### Full-Text Search (FTS5)
+- **Corpus**: ${fts.documents.toLocaleString()} documents (${fts.corpus}${fts.vocabularySize ? `, ${fts.vocabularySize.toLocaleString()} distinct words` : ''}), tokenizer \`${fts.tokenizer}\`
+- **Corpus Load**: ${this.formatTime(fts.corpusTime)}
+- **Index Build**: ${this.formatTime(fts.buildTime)} (${fts.buildRate.toLocaleString()} documents/sec)
+- **Index Size**: ${mb(fts.indexSize)} for ${mb(fts.contentSize)} of content (${fts.contentSize > 0 ? (fts.indexSize / fts.contentSize * 100).toFixed(0) + '%' : 'N/A'})
+- **optimize**: ${this.formatTime(o.time)}, ${o.segmentsBefore} → ${o.segmentsAfter} segment(s), ${mb(o.sizeBefore)} → ${mb(o.sizeAfter)}, MATCH mean ${this.formatLatency(o.matchMeanBefore)} → ${this.formatLatency(o.matchMeanAfter)}
+- **Total Time**: ${this.formatTime(fts.totalTime)}
+
+| Query | FTS5 Mean | FTS5 p99 | FTS5 Rows | LIKE Mean | LIKE p99 | LIKE Rows | Speedup |
+|-------|-----------|----------|-----------|-----------|----------|-----------|---------|
+${queryRows.join('\n')}
+
+| Incremental Change | Rows | Mean Without Index | Mean With Index | Commit |
+|--------------------|------|--------------------|-----------------|--------|
+${incrementalRows.join('\n')}
+
+| Automerge | Transaction p50 | Transaction p99 | Transaction Max | Segments | Index Size | MATCH Mean |
+|-----------|-----------------|-----------------|-----------------|----------|------------|------------|
+${automergeRows.join('\n')}
+
+`;
+  }
+
   async testDataTypes() {
     console.log('📋 Testing different data types...');
 
@@ -429,20 +2064,40 @@ class SQLiteStressTest {
     const largeTextSize = this.config.dataTypes.largeTextSize;
     const largeBlobSize = this.config.dataTypes.largeBlobSize;
 
-    // Test various data types
+    // Test various data types, including values that are easy to lose on the way
+    // through the driver: precision edges, -0, '' vs NULL vs 0, Unicode and every byte value
+    const allBytes = Buffer.alloc(256);
+    for (let byte = 0; byte < 256; byte++) allBytes[byte] = byte;
     const testData = [
       { type: 'INTEGER', value: 42 },
+      { type: 'INTEGER_ZERO', value: 0 },
+      { type: 'INTEGER_MAX_SAFE', value: Number.MAX_SAFE_INTEGER },
+      { type: 'INTEGER_MIN_SAFE', value: Number.MIN_SAFE_INTEGER },
       { type: 'REAL', value: 3.14159 },
+      { type: 'REAL_SUM', value: 0.1 + 0.2 },
+      { type: 'REAL_MAX', value: Number.MAX_VALUE },
+      { type: 'REAL_MIN_SUBNORMAL', value: Number.MIN_VALUE },
+      { type: 'REAL_NEGATIVE_ZERO', value: -0 },
       { type: 'TEXT', value: 'Hello, 世界! 🌍' },
+      { type: 'TEXT_EMPTY', value: '' },
+      { type: 'TEXT_COMBINING', value: 'e\u0301 vs \u00e9, n\u0303' },
+      { type: 'TEXT_RTL', value: 'שלום עולם مرحبا بالعالم' },
+      { type: 'TEXT_ZWJ_EMOJI', value: '👩‍👩‍👧‍👦 🏳️‍🌈 👍🏽' },
+      { type: 'TEXT_EMBEDDED_NUL', value: 'before\u0000after' },
       { type: 'BLOB', value: Buffer.from('Binary data test') },
+      { type: 'BLOB_ALL_BYTES', value: allBytes },
+      { type: 'BLOB_EMPTY', value: Buffer.alloc(0) },
       { type: 'NULL', value: null },
       { type: 'BOOLEAN', value: true },
+      { type: 'BOOLEAN_FALSE', value: false },
       { type: 'DATE', value: new Date().toISOString() },
       { type: 'JSON', value: JSON.stringify({ key: 'value', array: [1, 2, 3] }) },
-      { type: 'LARGE_TEXT', value: 'A'.repeat(largeTextSize) },
-      { type: 'LARGE_BLOB', value: Buffer.alloc(largeBlobSize, 'B') }
+      { type: 'LARGE_TEXT', value: this.random.hex(Math.ceil(largeTextSize / 2)).slice(0, largeTextSize) },
+      { type: 'LARGE_BLOB', value: this.random.bytes(largeBlobSize) }
     ];
 
+    // A source database may still have the table from an earlier run
+    await this.runQuery('DROP TABLE IF EXISTS datatype_test');
     await this.runQuery(`
             CREATE TABLE datatype_test (
                 id INTEGER PRIMARY KEY,
@@ -453,469 +2108,3277 @@ class SQLiteStressTest {
 
     let i = 0;
     for (const data of testData) {
-      await this.runQuery(
+      const result = await this.runQuery(
         'INSERT INTO datatype_test (data_type, test_value) VALUES (?, ?)',
         [data.type, data.value]
       );
+      data.id = result.lastID;
       i++;
-      process.stdout.write(`     - Inserting data type ${i}/${testData.length}: ${data.type.padEnd(15)}\r`);
+      this.dashboard.progress('Data types inserted', i, testData.length, { detail: data.type });
     }
-    process.stdout.write('\n');
+    this.dashboard.endStep();
 
-    // Verify data integrity
-    const retrievedData = await this.getAllQuery('SELECT * FROM datatype_test');
+    // Verify data integrity: every value must come back exactly as bound
+    const retrievedData = await this.getAllQuery('SELECT id, test_value, typeof(test_value) AS storage_class FROM datatype_test');
+    const retrieved = new Map(retrievedData.map(row => [row.id, row]));
+    const storageClasses = {};
+    const mismatches = [];
+    for (const data of testData) {
+      const row = retrieved.get(data.id);
+      const expected = normalizeValue(data.value);
+      storageClasses[data.type] = row ? row.storage_class : null;
+      if (!row || !sameValue(expected, row.test_value)) {
+        mismatches.push({ type: data.type, expected: describeValue(expected), actual: row ? describeValue(row.test_value) : 'missing' });
+      }
+    }
 
     this.results.tests.dataTypes = {
       totalTypes: testData.length,
-      verificationPassed: retrievedData.length === testData.length,
+      verificationPassed: retrievedData.length === testData.length && mismatches.length === 0,
       executionTime: Date.now() - startTime,
-      types: testData.map(d => d.type)
+      types: testData.map(d => d.type),
+      storageClasses: storageClasses,
+      mismatches: mismatches
     };
+    if (mismatches.length > 0) {
+      this.results.tests.dataTypes.error = `${mismatches.length} value(s) did not read back as written: ${mismatches.map(m => m.type).join(', ')}`;
+    }
   }
 
-  async createConcurrentWorker(workerId, operations) {
-    const progressInterval = this.config.concurrency.workerProgressInterval;
-    const workerScript = `
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-const workerId = ${workerId};
-const operations = ${operations};
-const dbPath = path.join(__dirname, '${this.config.database.path}');
+  getWorkerPlan() {
+    const roles = this.config.concurrency.roles;
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return Array.from({ length: this.concurrentWorkers }, (_, workerId) => ({ workerId, role: 'mixed', readRatio: 0.5 }));
+    }
 
-const db = new sqlite3.Database(dbPath);
+    const plan = [];
+    for (const entry of roles) {
+      if (!WORKER_ROLES.includes(entry.role)) {
+        throw new Error(`Unknown worker role "${entry.role}". Available roles: ${WORKER_ROLES.join(', ')}`);
+      }
+      const readRatio = entry.role === 'reader' ? 1 : entry.role === 'writer' ? 0 : (entry.readRatio ?? 0.5);
+      for (let i = 0; i < (entry.workers ?? 1); i++) {
+        plan.push({ workerId: plan.length, role: entry.role, readRatio: readRatio });
+      }
+    }
+    return plan;
+  }
 
-const results = {
-    workerId: workerId,
-    operations: operations,
-    completed: 0,
-    errors: 0,
-    startTime: Date.now(),
-    endTime: null
-};
+  async createConcurrentWorker(workerId, operations, role = 'mixed', readRatio = 0.5, maxUserId = 1) {
+    const concurrency = this.config.concurrency;
+    const settings = {
+      workerId: workerId,
+      operations: operations,
+      seed: deriveSeed(this.seed, 'worker', workerId),
+      role: role,
+      readRatio: readRatio,
+      driver: this.driverName,
+      dbPath: this.dbPath,
+      pragmas: this.getPragmaStatements(this.config.pragmas, ['page_size']),
+      busyTimeout: concurrency.busyTimeout,
+      retry: concurrency.retry,
+      progressInterval: concurrency.workerProgressInterval,
+      maxUserId: maxUserId,
+      ageRange: this.config.dataGeneration.ageRange,
+      salaryRange: this.config.dataGeneration.salaryRange
+    };
 
-function runQuery(sql, params = []) {
     return new Promise((resolve, reject) => {
-        db.run(sql, params, function(err) {
-            if (err) reject(err);
-            else resolve({ lastID: this.lastID, changes: this.changes });
-        });
-    });
-}
-
-async function doWork() {
-    for (let i = 0; i < operations; i++) {
-        if (i % ${progressInterval} === 0 || i === operations - 1) {
-            process.stderr.write(\`     - Worker \${workerId} progress: \${i + 1} / \${operations}\\r\`);
-        }
-        try {
-            const username = \`worker\${workerId}_user\${i}\`;
-            const email = \`worker\${workerId}_user\${i}@concurrent.test\`;
-            
-            // Insert
-            await runQuery(
-                'INSERT INTO users (username, email, age, salary, is_active) VALUES (?, ?, ?, ?, ?)',
-                [username, email, Math.floor(Math.random() * ${this.config.dataGeneration.ageRange.max - this.config.dataGeneration.ageRange.min + 1}) + ${this.config.dataGeneration.ageRange.min}, Math.random() * ${this.config.dataGeneration.salaryRange.max}, Math.random() > 0.5]
-            );
-            
-            // Update
-            await runQuery(
-                'UPDATE users SET salary = salary * 1.05 WHERE username = ?',
-                [username]
-            );
-            
-            // Select
-            await new Promise((resolve, reject) => {
-                db.all('SELECT * FROM users WHERE username = ?', [username], (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                });
-            });
-            
-            results.completed++;
-        } catch (err) {
-            results.errors++;
+      const isolation = concurrency.isolation;
+      const worker = isolation === 'thread'
+        ? new Worker(WORKER_MODULE)
+        : fork(WORKER_MODULE, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+      const stop = () => {
+        if (isolation === 'process') {
+          worker.kill('SIGKILL');
+          return;
         }
-    }
-    
-    results.endTime = Date.now();
-    process.stderr.write('\\n');
-    console.log(JSON.stringify(results));
-    db.close();
-}
-
-doWork().catch(console.error);
-        `;
-
-    const workerPath = path.join(__dirname, `worker_${workerId}.js`);
-    fs.writeFileSync(workerPath, workerScript);
+        // Terminating a thread while sqlite3 has statements in flight crashes the whole
+        // process, so the thread is asked to stop, and left behind if it is hung
+        worker.postMessage({ type: 'stop' });
+        worker.unref();
+      };
+      this.children.add(stop);
+      let settled = false;
+
+      // A worker that reports nothing for workerIdleSeconds is taken to hang
+      const idleSeconds = this.config.timeouts.workerIdleSeconds;
+      let idleTimer = null;
+      const resetIdleTimer = () => {
+        if (!idleSeconds) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          finish(new Error(`Worker ${workerId} reported nothing for ${idleSeconds}s and was stopped`));
+          stop();
+        }, idleSeconds * 1000);
+      };
 
-    const worker = spawn('node', [workerPath]);
-    let output = '';
-    let errorOutput = '';
+      const finish = (err, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        this.children.delete(stop);
+        if (err) reject(err);
+        else resolve(result);
+      };
 
-    worker.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+      resetIdleTimer();
+      worker.on('message', (message) => {
+        resetIdleTimer();
+        if (message.type === 'progress') {
+          this.dashboard.worker(message.workerId, message);
+        } else if (message.type === 'result') {
+          finish(null, message.results);
+        } else if (message.type === 'error') {
+          const err = new Error(`Worker ${workerId} failed: ${message.message}`);
+          err.stack = message.stack;
+          finish(err);
+        }
+      });
+      worker.on('error', finish);
+      // A child process has fully flushed its IPC messages only once 'close' fires
+      worker.on(isolation === 'thread' ? 'exit' : 'close', (code) => {
+        finish(new Error(`Worker ${workerId} exited with code ${code} before reporting results`));
+      });
 
-    worker.stderr.on('data', (data) => {
-      const message = data.toString();
-      if (message.includes('progress')) {
-        process.stderr.write(message);
+      const start = { type: 'start', settings: settings };
+      if (isolation === 'thread') {
+        worker.postMessage(start);
       } else {
-        errorOutput += message;
+        worker.send(start);
       }
     });
+  }
 
-    return new Promise((resolve, reject) => {
-      worker.on('close', (code) => {
-        fs.unlinkSync(workerPath);
-        if (code === 0) {
-          resolve(JSON.parse(output.trim()));
-        } else {
-          reject(new Error(errorOutput));
-        }
+  async testConcurrency() {
+    console.log('🔄 Testing concurrent operations...');
+
+    const startTime = Date.now();
+    const operationsPerWorker = this.config.concurrency.operationsPerWorker;
+    const plan = this.getWorkerPlan();
+
+    // Readers look up random existing rows
+    const maxIdRows = await this.getAllQuery('SELECT MAX(id) AS max_id FROM users');
+    const maxUserId = maxIdRows[0]?.max_id || 1;
+
+    const workers = [];
+    console.log(`   - Starting ${plan.length} concurrent workers (${this.describeWorkerPlan(plan)})...`);
+    console.log(`   - Isolation: ${this.config.concurrency.isolation}, busy_timeout: ${this.config.concurrency.busyTimeout}ms, retries: ${this.config.concurrency.retry.maxRetries}`);
+    for (const worker of plan) {
+      workers.push(this.createConcurrentWorker(worker.workerId, operationsPerWorker, worker.role, worker.readRatio, maxUserId));
+    }
+
+    try {
+      const results = await Promise.all(workers);
+
+      // Replace the raw per-operation samples with summaries, keeping combined views
+      const combinedLatency = this.createLatencyRecorder();
+      const readLatency = this.createLatencyRecorder();
+      const writeLatency = this.createLatencyRecorder();
+      for (const result of results) {
+        const workerLatency = this.createLatencyRecorder();
+        for (const samples of [result.readLatencies, result.writeLatencies]) {
+          workerLatency.merge(samples);
+          combinedLatency.merge(samples);
+        }
+        readLatency.merge(result.readLatencies);
+        writeLatency.merge(result.writeLatencies);
+        delete result.readLatencies;
+        delete result.writeLatencies;
+        result.latency = workerLatency.summary();
+        result.operationsPerSecond = Math.round(result.completed / ((result.endTime - result.startTime) / 1000));
+      }
+
+      const sum = (items, key) => items.reduce((total, r) => total + r[key], 0);
+      const attemptedOperations = sum(results, 'operations');
+      const totalOperations = sum(results, 'completed');
+      const failedOperations = sum(results, 'failed');
+      const avgExecutionTime = results.reduce((total, r) => total + (r.endTime - r.startTime), 0) / results.length;
+
+      const errorCounts = {};
+      for (const result of results) {
+        for (const [code, count] of Object.entries(result.errorCounts)) {
+          errorCounts[code] = (errorCounts[code] || 0) + count;
+        }
+      }
+
+      const roles = {};
+      for (const role of WORKER_ROLES) {
+        const roleResults = results.filter(r => r.role === role);
+        if (roleResults.length === 0) continue;
+        roles[role] = {
+          workers: roleResults.length,
+          completed: sum(roleResults, 'completed'),
+          failed: sum(roleResults, 'failed'),
+          reads: sum(roleResults, 'reads'),
+          writes: sum(roleResults, 'writes'),
+          operationsPerSecond: sum(roleResults, 'operationsPerSecond'),
+          lockWaitTime: Math.round(sum(roleResults, 'lockWaitTime'))
+        };
+      }
+
+      this.results.tests.concurrency = {
+        workers: results.length,
+        operationsPerWorker: operationsPerWorker,
+        isolation: this.config.concurrency.isolation,
+        busyTimeout: this.config.concurrency.busyTimeout,
+        maxRetries: this.config.concurrency.retry.maxRetries,
+        attemptedOperations: attemptedOperations,
+        totalOperations: totalOperations,
+        totalErrors: failedOperations,
+        successRate: (totalOperations / attemptedOperations * 100).toFixed(2) + '%',
+        retries: sum(results, 'retries'),
+        errorCounts: errorCounts,
+        busyErrorRate: (errorCounts.BUSY / Math.max(1, sum(results, 'attempts')) * 100).toFixed(2) + '%',
+        lockWaitTime: Math.round(sum(results, 'lockWaitTime')),
+        avgExecutionTime: avgExecutionTime,
+        operationsPerSecond: Math.round(totalOperations / (avgExecutionTime / 1000)),
+        totalTime: Date.now() - startTime,
+        roles: roles,
+        latency: {
+          workerOperation: combinedLatency.summary(),
+          read: readLatency.summary(),
+          write: writeLatency.summary()
+        },
+        workerResults: results
+      };
+    } catch (err) {
+      // The other workers would go on writing into the following phases
+      this.stopChildren();
+      this.results.tests.concurrency = {
+        error: err.message,
+        totalTime: Date.now() - startTime
+      };
+    }
+  }
+
+  // Turn the workload definition into runnable operations: parameter generators
+  // and, for "insertInto", an INSERT built from the table's own columns
+  async prepareWorkload(definition, context) {
+    const operations = {};
+    for (const operation of definition.operations) {
+      let sql = operation.sql;
+      let params = operation.params || [];
+
+      if (operation.insertInto) {
+        const columns = await this.getAllQuery('SELECT name, type, pk, dflt_value FROM pragma_table_info(?)', [operation.insertInto]);
+        if (columns.length === 0) {
+          throw new Error(`Workload operation "${operation.name}": table "${operation.insertInto}" does not exist`);
+        }
+        const overrides = operation.columns || {};
+        for (const name of Object.keys(overrides)) {
+          if (!columns.some(column => column.name === name)) {
+            throw new Error(`Workload operation "${operation.name}": table "${operation.insertInto}" has no column "${name}"`);
+          }
+        }
+        // Rowid aliases and columns with a DEFAULT are left to SQLite unless the workload sets them
+        const used = columns.filter(column => overrides[column.name] !== undefined ||
+          (column.dflt_value === null && !(column.pk && column.type.toUpperCase() === 'INTEGER')));
+        sql = `INSERT INTO ${quoteIdentifier(operation.insertInto)} (${used.map(column => quoteIdentifier(column.name)).join(', ')}) VALUES (${used.map(() => '?').join(', ')})`;
+        params = used.map(column => overrides[column.name] ?? inferGenerator(column.type));
+      }
+
+      // Positional parameters are an array, named ones ($name, :name, @name) an object
+      const generators = Array.isArray(params)
+        ? params.map(spec => createGenerator(spec, context))
+        : Object.entries(params).map(([name, spec]) => [name, createGenerator(spec, context)]);
+
+      operations[operation.name] = {
+        name: operation.name,
+        sql: sql,
+        table: operation.insertInto,
+        weight: operation.weight ?? 1,
+        transactionSize: operation.transaction ? (operation.transaction.size ?? 1) : 0,
+        returnsRows: operation.returnsRows ?? (/^\s*(SELECT|WITH|VALUES|PRAGMA|EXPLAIN)\b/i.test(sql) || /\bRETURNING\b/i.test(sql)),
+        nextParams: Array.isArray(params)
+          ? () => generators.map(generate => generate())
+          : () => Object.fromEntries(generators.map(([name, generate]) => [name, generate()]))
+      };
+    }
+    return operations;
+  }
+
+  // Run one operation: a single statement, or `transactionSize` statements in one
+  // transaction. Returns the number of rows returned or changed.
+  async executeWorkloadOperation(operation, context) {
+    const statements = Math.max(1, operation.transactionSize);
+    if (operation.transactionSize > 0) {
+      await this.runQuery('BEGIN TRANSACTION');
+    }
+
+    let rows = 0;
+    try {
+      for (let i = 0; i < statements; i++) {
+        const params = operation.nextParams();
+        if (operation.returnsRows) {
+          rows += (await this.getAllQuery(operation.sql, params)).length;
+        } else {
+          const result = await this.runQuery(operation.sql, params);
+          rows += result.changes;
+          if (operation.table && result.changes > 0) {
+            context.maxRowIds[operation.table] = Math.max(context.maxRowIds[operation.table] || 0, result.lastID);
+          }
+        }
+      }
+      if (operation.transactionSize > 0) {
+        await this.runQuery('COMMIT');
+      }
+    } catch (err) {
+      if (operation.transactionSize > 0) {
+        await this.runQuery('ROLLBACK').catch(() => {});
+      }
+      throw err;
+    }
+    return rows;
+  }
+
+  // Highest rowid per table, used by "ref" parameters
+  async refreshMaxRowIds(context) {
+    for (const table of await this.getTableNames()) {
+      try {
+        const rows = await this.getAllQuery(`SELECT MAX(rowid) AS max_id FROM ${quoteIdentifier(table)}`);
+        context.maxRowIds[table] = rows[0]?.max_id || 0;
+      } catch (err) {
+        // WITHOUT ROWID tables have no rowid to refer to
+      }
+    }
+  }
+
+  // Workload for a source database without a definition, built from its own tables:
+  // point reads by rowid, a range scan along every index that starts at a column value
+  // and, unless the source is opened read-only, updates that write a column back
+  // unchanged. Rows are sampled with the seeded generator, so the workload replays
+  // with --seed. Reads the source itself, since earlier phases add tables to the copy.
+  async buildSourceWorkload() {
+    const connection = this.connect('sqlite3', this.sourcePath, { readOnly: true });
+    const operations = [];
+    try {
+      // WITHOUT ROWID, virtual and shadow tables have no rowid to sample by
+      const tables = await connection.all("SELECT name FROM pragma_table_list WHERE schema = 'main' AND type = 'table' AND wr = 0 AND name NOT LIKE 'sqlite_%' ORDER BY name");
+      for (const { name: table } of tables) {
+        const quoted = quoteIdentifier(table);
+        const [{ min_id: minId, max_id: maxId }] = await connection.all(`SELECT MIN(rowid) AS min_id, MAX(rowid) AS max_id FROM ${quoted}`);
+        if (maxId === null) continue;
+
+        const indexes = [];
+        for (const { name: index } of await connection.all('SELECT name FROM pragma_index_list(?)', [table])) {
+          const [first] = await connection.all('SELECT name FROM pragma_index_info(?) ORDER BY seqno LIMIT 1', [index]);
+          // Expression indexes have no column to start a range at
+          if (first?.name) indexes.push({ name: index, column: first.name });
+        }
+        const columns = [...new Set(indexes.map(index => index.column))];
+        const samples = [];
+        for (let i = 0; i < SOURCE_WORKLOAD_SAMPLES; i++) {
+          const [row] = await connection.all(
+            `SELECT rowid AS sample_rowid${columns.map((column, j) => `, ${quoteIdentifier(column)} AS sample_${j}`).join('')} FROM ${quoted} WHERE rowid >= ? ORDER BY rowid LIMIT 1`,
+            [this.random.int(minId, maxId)]
+          );
+          samples.push(row);
+        }
+        const rowids = samples.map(row => row.sample_rowid);
+
+        operations.push({ name: `pointRead(${table})`, sql: `SELECT * FROM ${quoted} WHERE rowid = ?`, params: [{ generator: 'pick', values: rowids }], weight: 10 });
+        for (const index of indexes) {
+          const j = columns.indexOf(index.column);
+          const values = samples.map(row => row[`sample_${j}`]).filter(value => value !== null);
+          if (values.length === 0) continue;
+          const column = quoteIdentifier(index.column);
+          operations.push({
+            name: `rangeScan(${index.name})`,
+            sql: `SELECT * FROM ${quoted} WHERE ${column} >= ? ORDER BY ${column} LIMIT ${SOURCE_WORKLOAD_RANGE_ROWS}`,
+            params: [{ generator: 'pick', values: values }],
+            weight: 3
+          });
+        }
+        if (!this.readOnly) {
+          const [updated] = await connection.all('SELECT name FROM pragma_table_info(?) ORDER BY pk = 0 DESC, cid LIMIT 1', [table]);
+          const column = quoteIdentifier(updated.name);
+          operations.push({ name: `update(${table})`, sql: `UPDATE ${quoted} SET ${column} = ${column} WHERE rowid = ?`, params: [{ generator: 'pick', values: rowids }], weight: 3 });
+        }
+      }
+    } finally {
+      await connection.close();
+    }
+
+    if (operations.length === 0) {
+      throw new Error(`${this.sourcePath} has no rowid tables with rows to build a workload from; pass a workload definition with --workload`);
+    }
+    return {
+      name: 'source',
+      description: `Generated from the tables and indexes of ${this.sourcePath}`,
+      path: null,
+      totalOperations: this.config.workload.sourceOperations,
+      operations: operations
+    };
+  }
+
+  async testWorkload() {
+    const definition = this.workload || await this.buildSourceWorkload();
+    console.log(`🧩 Running workload "${definition.name}"...`);
+
+    const context = { random: this.random, config: this.config, maxRowIds: {} };
+    const operations = await this.prepareWorkload(definition, context);
+    const progressInterval = this.config.workload.progressReportInterval;
+    await this.refreshMaxRowIds(context);
+
+    // Setup: populate the tables, batching non-transactional operations into transactions of transactionSize
+    const setupStart = Date.now();
+    let setupRows = 0;
+    // An existing database already has its data, so the setup steps are skipped
+    for (const step of this.sourcePath ? [] : definition.setup || []) {
+      const operation = operations[step.operation];
+      const batched = operation.transactionSize === 0;
+      for (let i = 0; i < step.count; i++) {
+        if (batched && i % this.transactionSize === 0) {
+          await this.runQuery('BEGIN TRANSACTION');
+        }
+        setupRows += await this.executeWorkloadOperation(operation, context);
+        if (batched && (i % this.transactionSize === this.transactionSize - 1 || i === step.count - 1)) {
+          await this.runQuery('COMMIT');
+        }
+        if (i % progressInterval === 0 || i === step.count - 1) {
+          this.dashboard.progress(`Setup ${step.operation}`, i + 1, step.count, { unit: 'rows' });
+        }
+      }
+      this.dashboard.endStep();
+    }
+    const setupTime = Date.now() - setupStart;
+    await this.refreshMaxRowIds(context);
+
+    const totalOperations = definition.totalOperations ?? 1000;
+    const weights = Object.fromEntries(Object.values(operations).map(operation => [operation.name, operation.weight]));
+    const stats = {};
+    const latencies = {};
+    for (const name of Object.keys(operations)) {
+      stats[name] = { count: 0, errors: 0, rows: 0 };
+      latencies[name] = this.createLatencyRecorder();
+    }
+    const errorCounts = {};
+    let totalErrors = 0;
+
+    const startTime = Date.now();
+    for (let i = 0; i < totalOperations; i++) {
+      const name = this.pickWeighted(weights);
+      const operationStart = latencies[name].start();
+      try {
+        stats[name].rows += await this.executeWorkloadOperation(operations[name], context);
+      } catch (err) {
+        if (this.abort) throw err;
+        stats[name].errors++;
+        totalErrors++;
+        const code = err.code || 'OTHER';
+        errorCounts[code] = (errorCounts[code] || 0) + 1;
+      }
+      latencies[name].stop(operationStart);
+      stats[name].count++;
+      if (i % progressInterval === 0 || i === totalOperations - 1) {
+        this.dashboard.progress('Workload operations', i + 1, totalOperations, { unit: 'ops' });
+      }
+    }
+    this.dashboard.endStep();
+    const totalTime = Date.now() - startTime;
+
+    this.results.tests.workload = {
+      name: definition.name,
+      definition: definition.path,
+      schema: this.sourcePath || this.schemaPath,
+      setupRows: setupRows,
+      setupTime: setupTime,
+      totalOperations: totalOperations,
+      totalErrors: totalErrors,
+      errorCounts: errorCounts,
+      operationsPerSecond: Math.round(totalOperations / (totalTime / 1000)),
+      totalTime: totalTime,
+      operations: Object.fromEntries(Object.entries(stats).filter(([, stat]) => stat.count > 0).map(([name, stat]) => {
+        const latency = latencies[name];
+        return [name, {
+          ...stat,
+          totalTime: Math.round(latency.total),
+          operationsPerSecond: latency.total > 0 ? Math.round(stat.count / (latency.total / 1000)) : 0,
+          latency: latency.summary()
+        }];
+      }))
+    };
+  }
+
+  generateWorkloadSection(workload) {
+    if (!workload) return '';
+
+    const rows = Object.entries(workload.operations).map(([name, op]) =>
+      `| ${name} | ${op.count.toLocaleString()} | ${op.errors} | ${op.rows.toLocaleString()} | ${op.operationsPerSecond.toLocaleString()} | ${this.formatLatency(op.latency.p50)} | ${this.formatLatency(op.latency.p99)} |`
+    );
+
+    return `### Workload: ${workload.name}
+- **Definition**: ${workload.definition || 'generated from the source database'}
+- **Schema**: ${workload.schema}
+- **Setup**: ${workload.setupRows.toLocaleString()} rows in ${this.formatTime(workload.setupTime)}
+- **Operations**: ${workload.totalOperations.toLocaleString()} (${workload.totalErrors} failed${workload.totalErrors > 0 ? `: ${Object.entries(workload.errorCounts).map(([code, count]) => `${code} ${count}`).join(', ')}` : ''})
+- **Operations/Second**: ${workload.operationsPerSecond.toLocaleString()}
+- **Total Time**: ${this.formatTime(workload.totalTime)}
+
+| Operation | Count | Errors | Rows | Ops/sec | p50 | p99 |
+|-----------|-------|--------|------|---------|-----|-----|
+${rows.join('\n')}
+
+`;
+  }
+
+  // One-line chart of a series using block characters, scaled between its min and max
+  generateSparkline(values) {
+    const blocks = '▁▂▃▄▅▆▇█';
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return values.map(value =>
+      blocks[max === min ? 0 : Math.round((value - min) / (max - min) * (blocks.length - 1))]
+    ).join('');
+  }
+
+  generateSoakSection(soak) {
+    if (!soak?.snapshots) return '';
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const snapshots = soak.snapshots;
+    const series = [
+      { label: 'Ops/sec', values: snapshots.map(s => s.operationsPerSecond), format: v => v.toLocaleString() },
+      { label: 'p99 latency', values: snapshots.map(s => s.latency.p99), format: v => this.formatLatency(v) },
+      { label: 'DB size', values: snapshots.map(s => s.databaseSize), format: mb },
+      { label: 'WAL size', values: snapshots.map(s => s.walSize), format: mb },
+      { label: 'RSS', values: snapshots.map(s => s.rss), format: mb },
+      { label: 'Errors', values: snapshots.map(s => s.errors), format: v => v.toLocaleString() }
+    ];
+    const charts = snapshots.length === 0 ? [] : series.map(({ label, values, format }) =>
+      `${label.padEnd(12)} ${this.generateSparkline(values)}  min ${format(Math.min(...values))}, max ${format(Math.max(...values))}`
+    );
+
+    const rows = snapshots.map(s =>
+      `| ${this.formatTime(s.elapsedSeconds * 1000)} | ${s.operationsPerSecond.toLocaleString()} | ${this.formatLatency(s.latency.p50)} | ${this.formatLatency(s.latency.p99)} | ${this.formatLatency(s.latency.max)} | ${mb(s.databaseSize)} | ${mb(s.walSize)} | ${mb(s.rss)} | ${s.errors} |`
+    );
+
+    return `### Soak Test
+- **Duration**: ${this.formatTime(soak.totalTime)} (snapshot every ${soak.snapshotIntervalSeconds}s)
+- **Total Operations**: ${soak.totalOperations.toLocaleString()} (${Object.entries(soak.operationCounts).map(([name, count]) => `${name} ${count.toLocaleString()}`).join(', ')})
+- **Operations/Second**: ${soak.operationsPerSecond.toLocaleString()}
+- **Throughput Change (first → last snapshot)**: ${soak.throughputChange}
+- **Database Growth**: ${mb(soak.databaseGrowth)}
+- **RSS Growth**: ${mb(soak.rssGrowth)}
+- **Total Errors**: ${soak.totalErrors}${soak.totalErrors > 0 ? ` (${Object.entries(soak.errorCounts).map(([code, count]) => `${code} ${count}`).join(', ')})` : ''}
+
+\`\`\`
+${charts.join('\n')}
+\`\`\`
+
+| Elapsed | Ops/sec | p50 | p99 | Max | DB Size | WAL Size | RSS | Errors |
+|---------|---------|-----|-----|-----|---------|----------|-----|--------|
+${rows.join('\n')}
+
+`;
+  }
+
+  generateWorkerRolesTable(concurrency) {
+    if (!concurrency?.roles) return '';
+
+    const rows = Object.entries(concurrency.roles).map(([role, r]) =>
+      `| ${role} | ${r.workers} | ${r.reads.toLocaleString()} | ${r.writes.toLocaleString()} | ${r.completed.toLocaleString()} | ${r.failed.toLocaleString()} | ${r.operationsPerSecond.toLocaleString()} | ${this.formatTime(r.lockWaitTime)} |`
+    );
+    return `
+| Role | Workers | Reads | Writes | Completed | Failed | Ops/sec | Lock Wait |
+|------|---------|-------|--------|-----------|--------|---------|-----------|
+${rows.join('\n')}
+`;
+  }
+
+  describeWorkerPlan(plan) {
+    const counts = {};
+    for (const worker of plan) {
+      const key = worker.role === 'mixed' ? `mixed ${Math.round(worker.readRatio * 100)}% reads` : `${worker.role}s`;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return Object.entries(counts).map(([key, count]) => `${count} ${key}`).join(', ');
+  }
+
+  // Pick a key from a { name: weight } map with probability proportional to its weight
+  pickWeighted(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.random.next() * total;
+    for (const [name, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  getFileSize(filePath) {
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  async testSoak() {
+    const soak = this.config.soak;
+    const durationMs = soak.durationSeconds * 1000;
+    const intervalMs = soak.snapshotIntervalSeconds * 1000;
+    const userIdRange = this.config.dataGeneration.userIdRange;
+    console.log(`⏱️ Running soak test for ${this.formatTime(durationMs)} (snapshot every ${soak.snapshotIntervalSeconds}s)...`);
+
+    const maxIdRows = await this.getAllQuery('SELECT MAX(id) AS max_id FROM users');
+    let maxUserId = maxIdRows[0]?.max_id || 0;
+    const soakUserIds = [];
+
+    const operations = {
+      insert: async () => {
+        const user = this.generateRandomUser(maxUserId + 1);
+        const result = await this.runQuery(
+          'INSERT INTO users (username, email, age, salary, is_active, profile_data) VALUES (?, ?, ?, ?, ?, ?)',
+          [user.username, user.email, user.age, user.salary, user.is_active, user.profile_data]
+        );
+        this.ledger.record('users', result.lastID, user);
+        maxUserId = Math.max(maxUserId, result.lastID);
+        soakUserIds.push(result.lastID);
+      },
+      update: async () => {
+        const id = this.random.int(1, Math.max(1, maxUserId));
+        await this.runQuery('UPDATE users SET salary = salary * 1.01 WHERE id = ?', [id]);
+        this.ledger.update('users', id, row => ({ salary: row.salary * 1.01 }));
+      },
+      select: () => this.random.bool(0.8)
+        ? this.getAllQuery('SELECT * FROM users WHERE id = ?', [this.random.int(1, Math.max(1, maxUserId))])
+        : this.getAllQuery('SELECT COUNT(*) AS count FROM users WHERE age BETWEEN ? AND ?', [30, 40]),
+      delete: async () => {
+        // Only delete rows this soak run created, so the starting data set stays intact
+        if (soakUserIds.length === 0) return;
+        const index = this.random.int(0, soakUserIds.length - 1);
+        const [id] = soakUserIds.splice(index, 1);
+        await this.runQuery('DELETE FROM users WHERE id = ?', [id]);
+        this.ledger.delete('users', id);
+      },
+      transaction: async () => {
+        const inserted = [];
+        await this.runQuery('BEGIN TRANSACTION');
+        try {
+          for (let i = 0; i < soak.transactionOperations; i++) {
+            const userId = this.random.int(userIdRange.min, userIdRange.max);
+            const transaction = this.generateRandomTransaction(userId);
+            const result = await this.runQuery(
+              'INSERT INTO transactions (user_id, amount, type, description) VALUES (?, ?, ?, ?)',
+              [transaction.user_id, transaction.amount, transaction.type, transaction.description]
+            );
+            inserted.push([result.lastID, transaction]);
+          }
+          await this.runQuery('COMMIT');
+          // Only committed rows are expected to be there afterwards
+          for (const [id, transaction] of inserted) {
+            this.ledger.record('transactions', id, transaction);
+          }
+        } catch (err) {
+          await this.runQuery('ROLLBACK').catch(() => {});
+          throw err;
+        }
+      }
+    };
+
+    const startTime = Date.now();
+    const snapshots = [];
+    const operationCounts = {};
+    const errorCounts = {};
+    let totalOperations = 0;
+    let totalErrors = 0;
+
+    let intervalStart = startTime;
+    let intervalOperations = 0;
+    let intervalErrors = 0;
+    let intervalLatency = this.createLatencyRecorder();
+    let intervalOperationLatency = {};
+
+    const takeSnapshot = (now) => {
+      const summary = intervalLatency.summary();
+      const memory = process.memoryUsage();
+      snapshots.push({
+        elapsedSeconds: Math.round((now - startTime) / 1000),
+        operations: intervalOperations,
+        operationsPerSecond: Math.round(intervalOperations / ((now - intervalStart) / 1000)),
+        errors: intervalErrors,
+        cumulativeErrors: totalErrors,
+        latency: { p50: summary.p50, p90: summary.p90, p99: summary.p99, p999: summary.p999, max: summary.max },
+        operationP99: Object.fromEntries(Object.entries(intervalOperationLatency).map(([name, recorder]) => [name, recorder.summary().p99])),
+        databaseSize: this.getFileSize(this.dbPath),
+        walSize: this.getFileSize(`${this.dbPath}-wal`),
+        rss: memory.rss,
+        heapUsed: memory.heapUsed
+      });
+
+      intervalStart = now;
+      intervalOperations = 0;
+      intervalErrors = 0;
+      intervalLatency = this.createLatencyRecorder();
+      intervalOperationLatency = {};
+    };
+
+    let now = Date.now();
+    while (now - startTime < durationMs) {
+      const name = this.pickWeighted(soak.workload);
+      const operationStart = intervalLatency.start();
+      try {
+        await operations[name]();
+      } catch (err) {
+        if (this.abort) throw err;
+        intervalErrors++;
+        totalErrors++;
+        const code = err.code || 'OTHER';
+        errorCounts[code] = (errorCounts[code] || 0) + 1;
+      }
+      const elapsed = intervalLatency.stop(operationStart);
+      if (!intervalOperationLatency[name]) {
+        intervalOperationLatency[name] = this.createLatencyRecorder();
+      }
+      intervalOperationLatency[name].record(elapsed);
+      operationCounts[name] = (operationCounts[name] || 0) + 1;
+      intervalOperations++;
+      totalOperations++;
+
+      now = Date.now();
+      if (now - intervalStart >= intervalMs) {
+        takeSnapshot(now);
+      }
+      if (totalOperations % 100 === 0) {
+        this.dashboard.progress('Soak', now - startTime, durationMs, {
+          format: ms => this.formatTime(ms),
+          detail: `${totalOperations.toLocaleString()} operations, ${Math.round(totalOperations / (Math.max(1, now - startTime) / 1000)).toLocaleString()} ops/sec`,
+          latency: intervalLatency
+        });
+      }
+    }
+    // Final partial interval
+    if (intervalOperations > 0) {
+      takeSnapshot(now);
+    }
+    this.dashboard.endStep();
+
+    const totalTime = Date.now() - startTime;
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+
+    this.results.tests.soak = {
+      durationSeconds: soak.durationSeconds,
+      snapshotIntervalSeconds: soak.snapshotIntervalSeconds,
+      workload: soak.workload,
+      totalOperations: totalOperations,
+      totalErrors: totalErrors,
+      errorCounts: errorCounts,
+      operationCounts: operationCounts,
+      operationsPerSecond: Math.round(totalOperations / (totalTime / 1000)),
+      // Trend indicators between the first and the last snapshot
+      throughputChange: first && last && first.operationsPerSecond > 0
+        ? ((last.operationsPerSecond - first.operationsPerSecond) / first.operationsPerSecond * 100).toFixed(2) + '%'
+        : 'N/A',
+      databaseGrowth: first && last ? last.databaseSize - first.databaseSize : 0,
+      rssGrowth: first && last ? last.rss - first.rss : 0,
+      totalTime: totalTime,
+      snapshots: snapshots
+    };
+  }
+
+  // Fork the crash writer and SIGKILL it, either after `killDelay` ms or, when targeting
+  // maintenance, right after it announces a VACUUM or WAL checkpoint. Resolves with the
+  // transactions it acknowledged once the process and its IPC channel are gone.
+  async runCrashCycle(dbFile, pragmas, seed, target, killDelay) {
+    const durability = this.config.durability;
+    const settings = {
+      driver: this.driverName,
+      dbPath: dbFile,
+      seed: seed,
+      pragmas: this.getPragmaStatements(pragmas),
+      rowsPerTransaction: durability.rowsPerTransaction,
+      payloadSize: durability.payloadSize,
+      vacuumEvery: durability.vacuumEvery,
+      checkpointEvery: durability.checkpointEvery
+    };
+
+    if (this.abort) throw this.abort.error;
+    return new Promise((resolve, reject) => {
+      const writer = fork(DURABILITY_WRITER_MODULE, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+      const stop = () => writer.kill('SIGKILL');
+      this.children.add(stop);
+      const cycle = { acknowledged: [], killedDuring: null, journalMode: null, error: null };
+      let maintenance = null;
+      let timer = null;
+
+      const kill = () => {
+        if (cycle.killedDuring) return;
+        cycle.killedDuring = maintenance || 'transaction';
+        writer.kill('SIGKILL');
+      };
+
+      writer.on('message', (message) => {
+        if (message.type === 'ready') {
+          cycle.journalMode = message.journalMode;
+          // If no maintenance is announced in time, kill it wherever it is
+          timer = setTimeout(kill, target === 'maintenance' ? durability.maintenanceTimeoutMs : killDelay);
+        } else if (message.type === 'ack') {
+          cycle.acknowledged.push(message.transaction);
+        } else if (message.type === 'maintenance') {
+          maintenance = message.operation;
+          if (target === 'maintenance') {
+            clearTimeout(timer);
+            timer = setTimeout(kill, killDelay);
+          }
+        } else if (message.type === 'maintenanceDone') {
+          maintenance = null;
+        } else if (message.type === 'error') {
+          cycle.error = message.message;
+        }
+      });
+      writer.on('error', reject);
+      writer.on('close', () => {
+        clearTimeout(timer);
+        this.children.delete(stop);
+        resolve(cycle);
+      });
+      writer.send({ type: 'start', settings: settings });
+    });
+  }
+
+  // Reopen the database after a kill (running SQLite's journal/WAL recovery) and check it
+  async verifyDurability(dbFile, acknowledged) {
+    const recoveryStart = process.hrtime.bigint();
+    const db = this.connect(this.driverName, dbFile);
+    const all = sql => db.all(sql);
+
+    try {
+      const integrity = (await all('PRAGMA integrity_check')).map(row => row.integrity_check);
+      const foreignKeyViolations = await all('PRAGMA foreign_key_check');
+      const present = new Set((await all('SELECT id FROM durability_txns')).map(row => row.id));
+      // A transaction is partial when its header and its rows disagree
+      const partial = await all(`
+                SELECT t.id FROM durability_txns t
+                LEFT JOIN durability_rows r ON r.txn_id = t.id
+                GROUP BY t.id
+                HAVING COUNT(r.id) != t.rows
+            `);
+      return {
+        corrupt: !(integrity.length === 1 && integrity[0] === 'ok'),
+        integrityErrors: integrity.filter(line => line !== 'ok'),
+        foreignKeyViolations: foreignKeyViolations.length,
+        lost: acknowledged.filter(id => !present.has(id)),
+        partial: partial.length,
+        recoveryTime: Number(process.hrtime.bigint() - recoveryStart) / 1e6
+      };
+    } catch (err) {
+      if (this.abort) throw err;
+      // e.g. SQLITE_CORRUPT or SQLITE_NOTADB while reading
+      return { corrupt: true, integrityErrors: [err.message], foreignKeyViolations: 0, lost: [], partial: 0, recoveryTime: Number(process.hrtime.bigint() - recoveryStart) / 1e6 };
+    } finally {
+      await db.close().catch(() => {});
+    }
+  }
+
+  async testDurability() {
+    const durability = this.config.durability;
+    const combinations = expandCombinations(durability.settings);
+    const dbFile = this.getScratchPath('durability');
+    console.log(`💥 Running durability test: ${combinations.length} combination(s) x ${durability.cyclesPerCombination} kill cycles...`);
+
+    const startTime = Date.now();
+    const results = {};
+    for (const [index, combination] of combinations.entries()) {
+      const label = this.getPragmaLabel(combination);
+      const pragmas = { ...this.config.pragmas, ...combination };
+      const summary = {
+        pragmas: combination,
+        journalMode: null,
+        cycles: 0,
+        killedDuring: { transaction: 0, vacuum: 0, checkpoint: 0 },
+        acknowledgedTransactions: 0,
+        lostTransactions: 0,
+        partialTransactions: 0,
+        corruptCycles: 0,
+        foreignKeyViolations: 0,
+        writerErrors: 0,
+        integrityErrors: []
+      };
+      const recoveryLatency = this.createLatencyRecorder();
+
+      this.removeDatabaseFiles(dbFile);
+      let acknowledged = [];
+      const reportedLost = new Set();
+      for (let cycle = 0; cycle < durability.cyclesPerCombination; cycle++) {
+        this.dashboard.progress(`Kill cycles (combination ${index + 1}/${combinations.length}: ${label})`, cycle + 1, durability.cyclesPerCombination);
+        const target = this.random.bool(durability.maintenanceKillRatio) ? 'maintenance' : 'transaction';
+        const killDelay = target === 'maintenance'
+          ? this.random.int(0, durability.maintenanceKillDelayMs)
+          : this.random.int(durability.killDelayMs.min, durability.killDelayMs.max);
+
+        const result = await this.runCrashCycle(dbFile, pragmas, deriveSeed(this.seed, 'durability', label, cycle), target, killDelay);
+        summary.cycles++;
+        summary.journalMode = result.journalMode || summary.journalMode;
+        if (result.killedDuring) summary.killedDuring[result.killedDuring]++;
+        if (result.error) summary.writerErrors++;
+        acknowledged = acknowledged.concat(result.acknowledged);
+        summary.acknowledgedTransactions += result.acknowledged.length;
+
+        // Every transaction acknowledged in any earlier cycle must still be there
+        const check = await this.verifyDurability(dbFile, acknowledged);
+        recoveryLatency.record(check.recoveryTime);
+        const newlyLost = check.lost.filter(id => !reportedLost.has(id));
+        newlyLost.forEach(id => reportedLost.add(id));
+        summary.lostTransactions += newlyLost.length;
+        summary.partialTransactions += check.partial;
+        summary.foreignKeyViolations += check.foreignKeyViolations;
+        if (check.corrupt) {
+          summary.corruptCycles++;
+          summary.integrityErrors.push(...check.integrityErrors.slice(0, 5));
+          // Start over on a fresh database; a corrupt one proves nothing further
+          this.removeDatabaseFiles(dbFile);
+          acknowledged = [];
+          reportedLost.clear();
+        }
+      }
+      this.dashboard.endStep();
+      this.removeDatabaseFiles(dbFile);
+
+      summary.latency = { recovery: recoveryLatency.summary() };
+      results[label] = summary;
+    }
+
+    const totals = Object.values(results);
+    this.results.tests.durability = {
+      combinations: results,
+      totalCycles: totals.reduce((sum, summary) => sum + summary.cycles, 0),
+      acknowledgedTransactions: totals.reduce((sum, summary) => sum + summary.acknowledgedTransactions, 0),
+      lostTransactions: totals.reduce((sum, summary) => sum + summary.lostTransactions, 0),
+      partialTransactions: totals.reduce((sum, summary) => sum + summary.partialTransactions, 0),
+      corruptCycles: totals.reduce((sum, summary) => sum + summary.corruptCycles, 0),
+      totalTime: Date.now() - startTime
+    };
+  }
+
+  generateDurabilitySection(durability) {
+    if (!durability) return '';
+
+    const rows = Object.entries(durability.combinations).map(([label, c]) => {
+      const clean = c.lostTransactions === 0 && c.partialTransactions === 0 && c.corruptCycles === 0 && c.foreignKeyViolations === 0;
+      return `| ${clean ? '✅' : '❌'} ${label} | ${c.journalMode || 'N/A'} | ${c.cycles} | ${c.killedDuring.transaction} / ${c.killedDuring.vacuum} / ${c.killedDuring.checkpoint} | ${c.acknowledgedTransactions.toLocaleString()} | ${c.lostTransactions} | ${c.partialTransactions} | ${c.corruptCycles} | ${c.foreignKeyViolations} | ${this.formatLatency(c.latency.recovery.p99)} |`;
+    });
+    const errors = Object.entries(durability.combinations)
+      .filter(([, c]) => c.integrityErrors.length > 0)
+      .map(([label, c]) => `- **${label}**: ${c.integrityErrors.slice(0, 3).join('; ')}`);
+
+    return `### Durability (SIGKILL)
+- **Kill Cycles**: ${durability.totalCycles.toLocaleString()}
+- **Acknowledged Transactions**: ${durability.acknowledgedTransactions.toLocaleString()}
+- **Lost Committed Transactions**: ${durability.lostTransactions}
+- **Partial Transactions**: ${durability.partialTransactions}
+- **Corrupt Databases**: ${durability.corruptCycles}
+- **Total Time**: ${this.formatTime(durability.totalTime)}
+
+| Combination | Journal | Cycles | Killed in txn / VACUUM / checkpoint | Acked Txns | Lost | Partial | Corrupt | FK Violations | Recovery p99 |
+|-------------|---------|--------|-------------------------------------|------------|------|---------|---------|---------------|--------------|
+${rows.join('\n')}
+${errors.length > 0 ? `\n#### Integrity Errors\n${errors.join('\n')}\n` : ''}
+`;
+  }
+
+  // A separate connection, for tests that need several at once in this process. These
+  // always use sqlite3: a synchronous driver waiting for a lock would block the event
+  // loop, and with it the connection holding the lock.
+  openConnection(dbFile) {
+    return this.connect('sqlite3', dbFile);
+  }
+
+  // Sustained load on `table` (id, payload) of dbFile: writers commit small transactions
+  // back to back, readers keep a read transaction open for readerHoldMs at a time. In WAL
+  // mode a reader's snapshot pins the WAL frames it can see, so no checkpoint can move
+  // past them. Call stop() to end the load.
+  async startWriteLoad(dbFile, table, config, extraPragmas = []) {
+    const pragmas = [
+      ...this.getPragmaStatements(this.config.pragmas, ['journal_mode', 'locking_mode']),
+      `PRAGMA busy_timeout = ${config.busyTimeout}`,
+      ...extraPragmas
+    ];
+    const load = {
+      stopped: false,
+      commits: 0,
+      errors: 0,
+      errorCounts: {},
+      snapshots: 0,
+      writeLatency: this.createLatencyRecorder(),
+      // Writes overlapping a window opened by the caller, e.g. around a checkpoint
+      window: null,
+      outside: this.createLatencyRecorder(),
+      connections: [],
+      loops: [],
+      // First error that ended a writer or reader loop, rethrown by stop()
+      failure: null
+    };
+    const open = async () => {
+      const connection = this.openConnection(dbFile);
+      for (const sql of pragmas) {
+        await connection.all(sql);
+      }
+      load.connections.push(connection);
+      return connection;
+    };
+
+    const writer = async (connection) => {
+      while (!load.stopped && !this.abort) {
+        const start = process.hrtime.bigint();
+        try {
+          await connection.run('BEGIN IMMEDIATE');
+          for (let i = 0; i < config.rowsPerTransaction; i++) {
+            await connection.run(`INSERT INTO ${table} (payload) VALUES (?)`, [this.random.bytes(config.payloadSize)]);
+          }
+          await connection.run('COMMIT');
+          const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+          load.writeLatency.record(elapsed);
+          const window = load.window;
+          (window && (window.end === null || window.end > start) ? window.recorder : load.outside).record(elapsed);
+          load.commits++;
+        } catch (err) {
+          load.errors++;
+          load.errorCounts[err.code || 'OTHER'] = (load.errorCounts[err.code || 'OTHER'] || 0) + 1;
+          await connection.run('ROLLBACK').catch(() => {});
+        }
+      }
+    };
+    const reader = async (connection) => {
+      while (!load.stopped && !this.abort) {
+        await connection.run('BEGIN');
+        // The snapshot starts with the first read and lasts until COMMIT
+        await connection.all(`SELECT COUNT(*) AS count FROM ${table}`);
+        load.snapshots++;
+        const holdUntil = Date.now() + config.readerHoldMs;
+        while (!load.stopped && !this.abort && Date.now() < holdUntil) {
+          await new Promise(resolve => setTimeout(resolve, Math.min(50, config.readerHoldMs)));
+        }
+        await connection.run('COMMIT');
+      }
+    };
+
+    // The loops run unawaited until stop(), so their errors are recorded here. An aborted
+    // phase fails the reader's COMMIT; the phase reports the abort itself.
+    const track = loop => loop.catch(err => {
+      if (!this.abort && !load.failure) load.failure = err;
+    });
+    for (let i = 0; i < config.writers; i++) {
+      load.loops.push(track(writer(await open())));
+    }
+    for (let i = 0; i < config.readers; i++) {
+      load.loops.push(track(reader(await open())));
+    }
+
+    // Writes overlapping the time between beginWindow() and endWindow() go to `recorder`
+    load.beginWindow = (recorder) => {
+      load.window = { recorder: recorder, end: null };
+    };
+    load.endWindow = () => {
+      load.window.end = process.hrtime.bigint();
+    };
+    load.stop = async () => {
+      load.stopped = true;
+      await Promise.all(load.loops);
+      await Promise.all(load.connections.map(connection => connection.close()));
+      if (load.failure) throw load.failure;
+    };
+    return load;
+  }
+
+  // A fresh WAL database for one part of the checkpoint test
+  async createWalDatabase(dbFile) {
+    this.removeDatabaseFiles(dbFile);
+    const connection = this.openConnection(dbFile);
+    for (const sql of this.getPragmaStatements({ ...this.config.pragmas, journal_mode: 'WAL' }, ['locking_mode'])) {
+      await connection.all(sql);
+    }
+    const journalMode = (await connection.all('PRAGMA journal_mode'))[0].journal_mode;
+    await connection.run('CREATE TABLE wal_test (id INTEGER PRIMARY KEY, payload BLOB)');
+    if (journalMode !== 'wal') {
+      await connection.close();
+      throw new Error(`WAL checkpoint test needs journal_mode=WAL, but SQLite fell back to ${journalMode}`);
+    }
+    return connection;
+  }
+
+  async testWalCheckpoints() {
+    const config = this.config.walCheckpoint;
+    const dbFile = this.getScratchPath('checkpoint');
+    const walFile = `${dbFile}-wal`;
+    console.log(`📒 Testing WAL growth and checkpoints (${config.writers} writer(s), ${config.readers} reader(s) holding snapshots for ${config.readerHoldMs}ms)...`);
+
+    const startTime = Date.now();
+    const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+    // WAL growth under each wal_autocheckpoint setting. The automatic checkpoint runs
+    // inside the COMMIT that crosses the threshold, so its cost shows up in write latency.
+    const growth = {};
+    for (const autocheckpoint of config.autocheckpointSettings) {
+      const label = `wal_autocheckpoint=${autocheckpoint}`;
+      const setup = await this.createWalDatabase(dbFile);
+      const load = await this.startWriteLoad(dbFile, 'wal_test', config, [`PRAGMA wal_autocheckpoint = ${autocheckpoint}`]);
+      const snapshots = [];
+      const runStart = Date.now();
+      let duration;
+      try {
+        while (Date.now() - runStart < config.growthDurationSeconds * 1000) {
+          await sleep(config.snapshotIntervalMs);
+          snapshots.push({ elapsedMs: Date.now() - runStart, walSize: this.getFileSize(walFile), commits: load.commits });
+          this.dashboard.progress(`WAL growth (${label})`, Date.now() - runStart, config.growthDurationSeconds * 1000, { format: ms => this.formatTime(ms), detail: `WAL ${(this.getFileSize(walFile) / 1024 / 1024).toFixed(2)} MB` });
+        }
+      } finally {
+        await load.stop();
+        duration = Date.now() - runStart;
+        await setup.close();
+      }
+      this.dashboard.endStep();
+
+      growth[label] = {
+        autocheckpoint: autocheckpoint,
+        commits: load.commits,
+        commitsPerSecond: Math.round(load.commits / (duration / 1000)),
+        snapshotsHeld: load.snapshots,
+        writeErrors: load.errors,
+        maxWalSize: Math.max(0, ...snapshots.map(snapshot => snapshot.walSize)),
+        finalWalSize: snapshots.length > 0 ? snapshots[snapshots.length - 1].walSize : 0,
+        snapshots: snapshots,
+        latency: { write: load.writeLatency.summary() }
+      };
+    }
+
+    // Manual checkpoints with automatic ones turned off, so every mode starts from a WAL
+    // that writers have been filling for checkpointIntervalMs. RESTART and TRUNCATE wait
+    // (up to busyTimeout) for readers to let go of their snapshots; writers wait on them.
+    const checkpoints = {};
+    const setup = await this.createWalDatabase(dbFile);
+    await setup.all(`PRAGMA busy_timeout = ${config.busyTimeout}`);
+    const load = await this.startWriteLoad(dbFile, 'wal_test', config, ['PRAGMA wal_autocheckpoint = 0']);
+    try {
+      for (const mode of config.checkpointModes) {
+        const checkpointLatency = this.createLatencyRecorder();
+        const writesDuring = this.createLatencyRecorder();
+        const runs = [];
+        for (let run = 0; run < config.checkpointsPerMode; run++) {
+          this.dashboard.progress(`Checkpoints ${mode}`, run + 1, config.checkpointsPerMode, { latency: checkpointLatency });
+          await sleep(config.checkpointIntervalMs);
+          const walSizeBefore = this.getFileSize(walFile);
+          load.beginWindow(writesDuring);
+          const checkpointStart = checkpointLatency.start();
+          let result;
+          try {
+            [result] = await setup.all(`PRAGMA wal_checkpoint(${mode})`);
+          } finally {
+            checkpointLatency.stop(checkpointStart);
+            load.endWindow();
+          }
+          runs.push({ busy: result.busy, walFrames: result.log, checkpointedFrames: result.checkpointed, walSizeBefore: walSizeBefore, walSizeAfter: this.getFileSize(walFile) });
+        }
+        const average = key => Math.round(runs.reduce((sum, run) => sum + run[key], 0) / runs.length);
+        checkpoints[mode] = {
+          runs: runs.length,
+          busyRuns: runs.filter(run => run.busy).length,
+          averageWalFrames: average('walFrames'),
+          averageCheckpointedFrames: average('checkpointedFrames'),
+          averageWalSizeBefore: average('walSizeBefore'),
+          averageWalSizeAfter: average('walSizeAfter'),
+          latency: { checkpoint: checkpointLatency.summary(), writeDuringCheckpoint: writesDuring.summary() }
+        };
+      }
+      this.dashboard.endStep();
+    } finally {
+      await load.stop();
+      await setup.close();
+      this.removeDatabaseFiles(dbFile);
+    }
+
+    this.results.tests.walCheckpoint = {
+      writers: config.writers,
+      readers: config.readers,
+      readerHoldMs: config.readerHoldMs,
+      growth: growth,
+      checkpoints: checkpoints,
+      writeErrors: load.errors,
+      writeErrorCounts: load.errorCounts,
+      latency: {
+        write: load.writeLatency.summary(),
+        writeOutsideCheckpoint: load.outside.summary()
+      },
+      totalTime: Date.now() - startTime
+    };
+  }
+
+  generateWalCheckpointSection(wal) {
+    if (!wal) return '';
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const growthRows = Object.entries(wal.growth).map(([label, g]) =>
+      `| ${label} | ${g.commitsPerSecond.toLocaleString()} | ${mb(g.maxWalSize)} | ${mb(g.finalWalSize)} | ${this.formatLatency(g.latency.write.p50)} | ${this.formatLatency(g.latency.write.p99)} | ${this.formatLatency(g.latency.write.max)} | ${g.snapshots.length > 0 ? this.generateSparkline(g.snapshots.map(snapshot => snapshot.walSize)) : ''} |`
+    );
+    const checkpointRows = Object.entries(wal.checkpoints).map(([mode, c]) =>
+      `| ${mode} | ${c.runs} | ${this.formatLatency(c.latency.checkpoint.p50)} | ${this.formatLatency(c.latency.checkpoint.max)} | ${c.busyRuns} | ${c.averageCheckpointedFrames.toLocaleString()} / ${c.averageWalFrames.toLocaleString()} | ${mb(c.averageWalSizeBefore)} → ${mb(c.averageWalSizeAfter)} | ${this.formatLatency(c.latency.writeDuringCheckpoint.p99)} |`
+    );
+
+    return `### WAL Checkpoints
+- **Load**: ${wal.writers} writer(s), ${wal.readers} reader(s) holding snapshots for ${wal.readerHoldMs}ms
+- **Write p99 Outside Checkpoints**: ${this.formatLatency(wal.latency.writeOutsideCheckpoint.p99)}
+- **Write Errors**: ${wal.writeErrors}${wal.writeErrors > 0 ? ` (${Object.entries(wal.writeErrorCounts).map(([code, count]) => `${code} ${count}`).join(', ')})` : ''}
+- **Total Time**: ${this.formatTime(wal.totalTime)}
+
+| Autocheckpoint | Commits/sec | Max WAL | Final WAL | Write p50 | Write p99 | Write Max | WAL Size Over Time |
+|----------------|-------------|---------|-----------|-----------|-----------|-----------|--------------------|
+${growthRows.join('\n')}
+
+| Manual Checkpoint | Runs | p50 | Max | Busy | Frames Checkpointed / in WAL | WAL Size | Write p99 During |
+|-------------------|------|-----|-----|------|------------------------------|----------|------------------|
+${checkpointRows.join('\n')}
+
+`;
+  }
+
+  // File size, page count and free pages of a database, queried through `all`
+  async getSpaceStats(all, filePath) {
+    const [pages] = await all('PRAGMA page_count');
+    const [freelist] = await all('PRAGMA freelist_count');
+    return { fileSize: this.getFileSize(filePath), pageCount: pages.page_count, freelistCount: freelist.freelist_count };
+  }
+
+  // Time a copy with the online backup API while writers insert into a scratch table of
+  // the same database from their own connections, and compare their throughput with a
+  // baseline taken just before. Writes from other connections restart a backup that
+  // copies in several steps, so a positive pagesPerStep may not finish within timeoutMs.
+  async testOnlineBackup(targetFile) {
+    const config = this.config.maintenance.backup;
+    const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+    // A source database may still have the table from an earlier run
+    await this.runQuery('DROP TABLE IF EXISTS maintenance_write_test');
+    await this.runQuery('CREATE TABLE maintenance_write_test (id INTEGER PRIMARY KEY, payload BLOB)');
+    const load = await this.startWriteLoad(this.dbPath, 'maintenance_write_test', { ...config, readers: 0 });
+    let backup = null;
+    try {
+      const baselineStart = Date.now();
+      const baselineCommits = load.commits;
+      await sleep(config.baselineMs);
+      const baselineRate = (load.commits - baselineCommits) / ((Date.now() - baselineStart) / 1000);
+
+      // Back-to-back backups for at least minDurationMs, so a small database still gives
+      // the writers time to notice
+      const writesDuring = this.createLatencyRecorder();
+      const backupTimes = [];
+      let steps = 0;
+      let busySteps = 0;
+      let completed = true;
+      let pageCount = 0;
+      const windowStart = Date.now();
+      const windowCommits = load.commits;
+      load.beginWindow(writesDuring);
+      try {
+        do {
+          const backupStart = Date.now();
+          backup = await new Promise((resolve, reject) => {
+            const handle = this.db.handle.backup(targetFile, err => (err ? reject(err) : resolve(handle)));
+          });
+          while (!backup.completed && !backup.failed && Date.now() - backupStart < config.timeoutMs) {
+            try {
+              await new Promise((resolve, reject) => backup.step(config.pagesPerStep, err => (err ? reject(err) : resolve())));
+              steps++;
+            } catch (err) {
+              // A writer holds the lock the step needs; the backup stays open and can retry
+              if (err.code !== 'SQLITE_BUSY' && err.code !== 'SQLITE_LOCKED') throw err;
+              busySteps++;
+              await sleep(Math.max(1, config.stepDelayMs));
+              continue;
+            }
+            if (!backup.completed && config.stepDelayMs > 0) await sleep(config.stepDelayMs);
+          }
+          completed = completed && backup.completed;
+          pageCount = backup.pageCount;
+          await new Promise(resolve => backup.finish(() => resolve()));
+          backup = null;
+          backupTimes.push(Date.now() - backupStart);
+        } while (Date.now() - windowStart < config.minDurationMs);
+      } finally {
+        load.endWindow();
+      }
+      const windowTime = Date.now() - windowStart;
+      const backupRate = (load.commits - windowCommits) / (windowTime / 1000);
+
+      return {
+        time: Math.round(backupTimes.reduce((sum, time) => sum + time, 0) / backupTimes.length),
+        backups: backupTimes.length,
+        completed: completed,
+        steps: steps,
+        busySteps: busySteps,
+        pagesPerStep: config.pagesPerStep,
+        pageCount: pageCount,
+        backupSize: this.getFileSize(targetFile),
+        baselineWritesPerSecond: Math.round(baselineRate),
+        writesPerSecondDuringBackup: Math.round(backupRate),
+        writeThroughputChange: baselineRate > 0 ? ((backupRate - baselineRate) / baselineRate * 100).toFixed(2) + '%' : 'N/A',
+        writeErrors: load.errors,
+        latency: { writeDuringBackup: writesDuring.summary(), writeOutsideBackup: load.outside.summary() }
+      };
+    } finally {
+      if (backup) await new Promise(resolve => backup.finish(() => resolve()));
+      await load.stop();
+      await this.runQuery('DROP TABLE maintenance_write_test');
+    }
+  }
+
+  // Convert a copy of the database to auto_vacuum=INCREMENTAL, free some pages by dropping
+  // a table of filler rows and give them back with incremental_vacuum(pagesPerStep) until
+  // the freelist is empty
+  async testIncrementalVacuum(copyFile, measure) {
+    const config = this.config.maintenance.incrementalVacuum;
+    const connection = this.openConnection(copyFile);
+    try {
+      await measure('autoVacuumConversion', async () => {
+        await connection.all('PRAGMA auto_vacuum = INCREMENTAL');
+        await connection.run('VACUUM');
+      }, connection, copyFile);
+
+      await connection.run('CREATE TABLE incremental_vacuum_test (id INTEGER PRIMARY KEY, payload BLOB)');
+      await connection.run('BEGIN TRANSACTION');
+      for (let i = 0; i < config.fillerRows; i++) {
+        await connection.run('INSERT INTO incremental_vacuum_test (payload) VALUES (?)', [this.random.bytes(config.payloadSize)]);
+      }
+      await connection.run('COMMIT');
+      await connection.run('DROP TABLE incremental_vacuum_test');
+
+      const stepLatency = this.createLatencyRecorder();
+      await measure('incrementalVacuum', async () => {
+        let steps = 0;
+        while ((await connection.all('PRAGMA freelist_count'))[0].freelist_count > 0) {
+          // incremental_vacuum returns no rows but needs stepping to completion, so not run()
+          await stepLatency.time(() => connection.all(`PRAGMA incremental_vacuum(${config.pagesPerStep})`));
+          steps++;
+          this.dashboard.progress('Incremental vacuum steps', steps, null, { latency: stepLatency });
+        }
+        this.dashboard.endStep();
+        return { steps: steps, pagesPerStep: config.pagesPerStep, latency: { step: stepLatency.summary() } };
+      }, connection, copyFile);
+    } finally {
+      await connection.close();
+    }
+  }
+
+  async testVacuumAndAnalyze() {
+    console.log('🧹 Testing maintenance operations...');
+
+    const startTime = Date.now();
+    const copyFile = this.getScratchPath('vacuum-into');
+    const backupFile = this.getScratchPath('backup');
+    const main = { all: (sql, params) => this.getAllQuery(sql, params) };
+
+    // Every operation is timed with the file size and free pages before and after it
+    const operations = {};
+    const measure = async (name, fn, connection = main, filePath = this.dbPath) => {
+      this.dashboard.progress('Maintenance operations', Object.keys(operations).length + 1, null, { detail: name });
+      const before = await this.getSpaceStats(connection.all, filePath);
+      const operationStart = Date.now();
+      const details = await fn();
+      const time = Date.now() - operationStart;
+      const after = await this.getSpaceStats(connection.all, filePath);
+      operations[name] = {
+        time: time,
+        sizeBefore: before.fileSize,
+        sizeAfter: after.fileSize,
+        freelistBefore: before.freelistCount,
+        freelistAfter: after.freelistCount,
+        ...details
+      };
+      return operations[name];
+    };
+    const check = pragma => async () => {
+      const rows = await this.getAllQuery(`PRAGMA ${pragma}`);
+      const problems = rows.map(row => Object.values(row)[0]).filter(line => line !== 'ok');
+      return { result: problems.length === 0 ? 'ok' : `${problems.length} problem(s): ${problems.slice(0, 3).join('; ')}` };
+    };
+
+    // Get database size before vacuum
+    const sizeBefore = fs.statSync(this.dbPath).size;
+
+    await measure('integrityCheck', check('integrity_check'));
+    await measure('quickCheck', check('quick_check'));
+    const { time: analyzeTime } = await measure('analyze', () => this.runQuery('ANALYZE').then(() => ({})));
+    await measure('optimize', () => this.getAllQuery('PRAGMA optimize').then(() => ({})));
+    await measure('reindex', () => this.runQuery('REINDEX').then(() => ({})));
+    const { time: vacuumTime } = await measure('vacuum', () => this.runQuery('VACUUM').then(() => ({})));
+
+    // Get database size after vacuum
+    const sizeAfter = fs.statSync(this.dbPath).size;
+
+    this.removeDatabaseFiles(copyFile);
+    this.removeDatabaseFiles(backupFile);
+    try {
+      await measure('vacuumInto', async () => {
+        await this.runQuery('VACUUM INTO ?', [copyFile]);
+        return { copySize: this.getFileSize(copyFile) };
+      });
+      await this.testIncrementalVacuum(copyFile, measure);
+      if (this.db.features.backup) {
+        await measure('onlineBackup', () => this.testOnlineBackup(backupFile));
+      }
+    } finally {
+      this.removeDatabaseFiles(copyFile);
+      this.removeDatabaseFiles(backupFile);
+    }
+    this.dashboard.endStep();
+
+    this.results.tests.maintenance = {
+      analyzeTime: analyzeTime,
+      vacuumTime: vacuumTime,
+      sizeBeforeVacuum: sizeBefore,
+      sizeAfterVacuum: sizeAfter,
+      spaceSaved: sizeBefore - sizeAfter,
+      compressionRatio: ((sizeBefore - sizeAfter) / sizeBefore * 100).toFixed(2) + '%',
+      operations: operations,
+      totalTime: Date.now() - startTime
+    };
+  }
+
+  generateMaintenanceTable(operations) {
+    if (!operations) return '';
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const notes = (name, o) => {
+      if (o.result) return o.result === 'ok' ? '✅ ok' : `❌ ${o.result}`;
+      if (name === 'vacuumInto') return `copy ${mb(o.copySize)}`;
+      if (name === 'incrementalVacuum') return `${o.steps} step(s) of ${o.pagesPerStep} pages, step p99 ${this.formatLatency(o.latency.step.p99)}`;
+      if (name === 'onlineBackup') {
+        return `${o.completed ? '✅' : '❌ not finished,'} ${o.backups} backup(s) in ${o.steps} step(s) (${o.busySteps} busy), writes ${o.baselineWritesPerSecond.toLocaleString()} → ${o.writesPerSecondDuringBackup.toLocaleString()} commits/sec (${o.writeThroughputChange}), write p99 during ${this.formatLatency(o.latency.writeDuringBackup.p99)}, ${o.writeErrors} write error(s)`;
+      }
+      return '';
+    };
+    const rows = Object.entries(operations).map(([name, o]) =>
+      `| ${name} | ${this.formatTime(o.time)} | ${mb(o.sizeBefore)} → ${mb(o.sizeAfter)} | ${o.freelistBefore.toLocaleString()} → ${o.freelistAfter.toLocaleString()} | ${notes(name, o)} |`
+    );
+
+    return `
+| Operation | Time | File Size | Free Pages | Notes |
+|-----------|------|-----------|------------|-------|
+${rows.join('\n')}
+`;
+  }
+
+  // Pages, bytes and B-tree depth of every table and index, from the dbstat virtual
+  // table. The depth is the number of levels in a page's path, e.g. '/000/01c/' is 3.
+  // Returns null when SQLite was built without dbstat.
+  async getBtreeStats(connection) {
+    const rows = await this.queryDbstat(connection, `
+                SELECT name, COUNT(*) AS pages, SUM(pgsize) AS size,
+                       MAX(LENGTH(path) - LENGTH(REPLACE(path, '/', ''))) AS depth
+                FROM dbstat
+                WHERE pagetype != 'overflow'
+                GROUP BY name
+                ORDER BY name
+            `);
+    return rows && Object.fromEntries(rows.map(row => [row.name, { pages: row.pages, size: row.size, depth: row.depth }]));
+  }
+
+  // Rows of a query on the dbstat virtual table, or null when SQLite was built without it
+  async queryDbstat(connection, sql, params = []) {
+    try {
+      return await connection.all(sql, params);
+    } catch (err) {
+      if (/no such table: dbstat/.test(err.message)) return null;
+      throw err;
+    }
+  }
+
+  // Grow a users-like table in a scratch database step by step and re-run the same
+  // point lookups, index lookups, small range selects, point updates and point deletes
+  // at every size. Updates and deletes run inside a transaction that is rolled back, so
+  // their latency is the B-tree work and not the commit, and every step keeps its size.
+  async testScaleCurve() {
+    const config = this.config.scaleCurve;
+    const dbFile = this.getScratchPath('scale');
+    const steps = [...config.steps].sort((a, b) => a - b);
+    console.log(`📈 Testing how performance scales with table size (${steps.map(rows => rows.toLocaleString()).join(' → ')} rows)...`);
+
+    const startTime = Date.now();
+    this.removeDatabaseFiles(dbFile);
+    const connection = this.connect(this.driverName, dbFile);
+    const results = {};
+    try {
+      for (const sql of this.getPragmaStatements(this.config.pragmas)) {
+        await connection.all(sql);
+      }
+      await connection.run(`CREATE TABLE scale_test (
+                id INTEGER PRIMARY KEY,
+                username TEXT NOT NULL,
+                email TEXT NOT NULL,
+                age INTEGER,
+                salary REAL,
+                is_active BOOLEAN,
+                profile_data BLOB
+            )`);
+      await connection.run('CREATE INDEX idx_scale_test_email ON scale_test(email)');
+      await connection.run('CREATE INDEX idx_scale_test_age ON scale_test(age)');
+      const [{ page_size: pageSize }] = await connection.all('PRAGMA page_size');
+      const [{ cache_size: cacheSize }] = await connection.all('PRAGMA cache_size');
+      // A negative cache_size is in KiB
+      const cacheBytes = cacheSize < 0 ? -cacheSize * 1024 : cacheSize * pageSize;
+      const insert = await connection.prepare(`INSERT INTO scale_test (${USER_INSERT_COLUMNS.join(', ')}) VALUES (${USER_INSERT_COLUMNS.map(() => '?').join(', ')})`);
+      const ageRange = this.config.dataGeneration.ageRange;
+      let rows = 0;
+
+      try {
+        for (const target of steps) {
+          // Load up to the next step
+          const loadStart = Date.now();
+          const loaded = target - rows;
+          const batches = Math.ceil(loaded / config.batchSize);
+          for (let batch = 0; batch < batches; batch++) {
+            await connection.run('BEGIN TRANSACTION');
+            for (let i = 0; i < config.batchSize && rows < target; i++) {
+              rows++;
+              const user = this.generateRandomUser(rows);
+              await insert.run(USER_INSERT_COLUMNS.map(column => user[column]));
+            }
+            await connection.run('COMMIT');
+            if (batch % config.progressReportInterval === 0 || batch === batches - 1) {
+              this.dashboard.progress(`Loading ${target.toLocaleString()} rows`, rows, target, { unit: 'rows' });
+            }
+          }
+          const loadTime = Date.now() - loadStart;
+
+          const maxId = (await connection.all('SELECT MAX(id) AS max_id FROM scale_test'))[0].max_id;
+          const randomId = () => this.random.int(1, maxId);
+          const sampleIds = Array.from({ length: config.iterations }, randomId);
+          const emails = (await connection.all(`SELECT email FROM scale_test WHERE id IN (${sampleIds.join(', ')})`)).map(row => row.email);
+
+          const latency = {};
+          const time = async (name, fn) => {
+            const recorder = this.createLatencyRecorder();
+            this.dashboard.progress(`Benchmarks at ${target.toLocaleString()} rows`, Object.keys(latency).length + 1, null, { detail: name, latency: recorder });
+            for (let i = 0; i < config.iterations; i++) {
+              await recorder.time(() => fn(i));
+            }
+            latency[name] = recorder.summary();
+          };
+          await time('pointSelect', () => connection.all('SELECT * FROM scale_test WHERE id = ?', [randomId()]));
+          if (emails.length > 0) {
+            await time('indexLookup', i => connection.all('SELECT id, username, salary FROM scale_test WHERE email = ?', [emails[i % emails.length]]));
+          }
+          await time('rangeSelect', () => connection.all('SELECT id, username, salary FROM scale_test WHERE age = ? LIMIT 100', [this.random.int(ageRange.min, ageRange.max)]));
+          await connection.run('BEGIN TRANSACTION');
+          await time('pointUpdate', () => connection.run('UPDATE scale_test SET salary = salary * 1.05 WHERE id = ?', [randomId()]));
+          await time('pointDelete', () => connection.run('DELETE FROM scale_test WHERE id = ?', [randomId()]));
+          await connection.run('ROLLBACK');
+
+          const [{ page_count: pageCount }] = await connection.all('PRAGMA page_count');
+          const fileSize = this.getFileSize(dbFile);
+          results[target] = {
+            rows: rows,
+            loadTime: loadTime,
+            loadRate: Math.round(loaded / (Math.max(1, loadTime) / 1000)),
+            pageCount: pageCount,
+            fileSize: fileSize,
+            exceedsCache: pageCount * pageSize > cacheBytes,
+            btrees: await this.getBtreeStats(connection),
+            latency: latency
+          };
+        }
+      } finally {
+        await insert.finalize();
+      }
+      this.dashboard.endStep();
+
+      this.results.tests.scaleCurve = {
+        pageSize: pageSize,
+        cacheBytes: cacheBytes,
+        steps: results,
+        cliffThreshold: config.cliffThreshold,
+        cliffs: this.findScaleCliffs(results, config.cliffThreshold),
+        totalTime: Date.now() - startTime
+      };
+    } finally {
+      await connection.close();
+      this.removeDatabaseFiles(dbFile);
+    }
+  }
+
+  // Steps where a benchmark's median latency grew by more than `threshold` times from the
+  // previous step, with whatever changed in the database at the same time. The median,
+  // because a p99 of a few hundred samples moves with every stray pause.
+  findScaleCliffs(steps, threshold) {
+    const entries = Object.values(steps);
+    const cliffs = [];
+    for (let i = 1; i < entries.length; i++) {
+      const [before, after] = [entries[i - 1], entries[i]];
+      const depthBefore = Math.max(0, ...Object.values(before.btrees || {}).map(btree => btree.depth));
+      const depthAfter = Math.max(0, ...Object.values(after.btrees || {}).map(btree => btree.depth));
+      for (const [name, summary] of Object.entries(after.latency)) {
+        const previous = before.latency[name]?.p50;
+        if (!(previous > 0) || summary.p50 / previous <= threshold) continue;
+        cliffs.push({
+          benchmark: name,
+          fromRows: before.rows,
+          toRows: after.rows,
+          growth: (summary.p50 / previous).toFixed(1) + 'x',
+          depthIncreased: depthAfter > depthBefore,
+          exceededCache: after.exceedsCache && !before.exceedsCache
+        });
+      }
+    }
+    return cliffs;
+  }
+
+  generateScaleCurveSection(scale) {
+    if (!scale) return '';
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const steps = Object.values(scale.steps);
+    const benchmarks = [...new Set(steps.flatMap(step => Object.keys(step.latency)))];
+    const depth = (step, name) => step.btrees?.[name]?.depth ?? 'N/A';
+    const indexes = [...new Set(steps.flatMap(step => Object.keys(step.btrees || {})))].filter(name => name !== 'scale_test' && !name.startsWith('sqlite_'));
+
+    const rows = steps.map(step =>
+      `| ${step.rows.toLocaleString()} | ${step.loadRate.toLocaleString()} | ${benchmarks.map(name => step.latency[name] ? `${this.formatLatency(step.latency[name].p50)} / ${this.formatLatency(step.latency[name].p99)}` : 'N/A').join(' | ')} |`
+    );
+    const storageRows = steps.map(step =>
+      `| ${step.rows.toLocaleString()} | ${step.pageCount.toLocaleString()} | ${mb(step.fileSize)}${step.exceedsCache ? ' ⚠️' : ''} | ${depth(step, 'scale_test')} |${indexes.map(name => ` ${step.btrees[name] ? `${mb(step.btrees[name].size)}, depth ${step.btrees[name].depth}` : 'N/A'} |`).join('')}`
+    );
+
+    // p50 per row count, bars scaled to the slowest step of each benchmark
+    const charts = benchmarks.map(name => {
+      const values = steps.map(step => step.latency[name]?.p50 ?? 0);
+      const peak = Math.max(...values) || 1;
+      const lines = steps.map((step, i) =>
+        `  ${step.rows.toLocaleString().padStart(12)} ${'█'.repeat(Math.max(1, Math.round(values[i] / peak * 40))).padEnd(40)} ${this.formatLatency(values[i])}`
+      );
+      return `${name} p50\n${lines.join('\n')}`;
+    });
+
+    const cliffs = scale.cliffs.map(cliff =>
+      `- ⚠️ **${cliff.benchmark}**: p50 grew ${cliff.growth} from ${cliff.fromRows.toLocaleString()} to ${cliff.toRows.toLocaleString()} rows${[cliff.depthIncreased && 'B-tree depth increased', cliff.exceededCache && 'database outgrew the page cache'].filter(Boolean).map(note => `, ${note}`).join('')}`
+    );
+
+    return `### Scale Curve
+- **Page Cache**: ${mb(scale.cacheBytes)} (⚠️ marks steps where the database is larger)
+- **Total Time**: ${this.formatTime(scale.totalTime)}
+${cliffs.length > 0 ? cliffs.join('\n') : `- **Cliffs**: none (no p50 grew more than ${scale.cliffThreshold}x between steps)`}
+
+| Rows | Load Rows/sec | ${benchmarks.map(name => `${name} p50 / p99`).join(' | ')} |
+|------|---------------|${benchmarks.map(() => '---').join('|')}|
+${rows.join('\n')}
+
+| Rows | Pages | File Size | Table Depth |${indexes.map(name => ` ${name} |`).join('')}
+|------|-------|-----------|-------------|${indexes.map(() => '---|').join('')}
+${storageRows.join('\n')}
+
+\`\`\`
+${charts.join('\n\n')}
+\`\`\`
+
+`;
+  }
+
+  // Tracked rows of a table read back in chunks, by id
+  async readLedgerRows(table, ids) {
+    const rows = new Map();
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const found = await this.getAllQuery(`SELECT * FROM ${quoteIdentifier(table)} WHERE id IN (${chunk.map(() => '?').join(', ')})`, chunk);
+      for (const row of found) {
+        rows.set(row.id, row);
+      }
+    }
+    return rows;
+  }
+
+  // Read back every row the ledger tracks and compare it with what the phases wrote,
+  // then check the row counts the phase reported
+  async verifyLedger() {
+    const maxMismatches = this.config.verification.maxMismatches;
+    const verification = { rowsChecked: 0, deletedRowsChecked: 0, mismatchCount: 0, mismatches: [], rowCountChecks: this.rowCountChecks };
+    const addMismatch = (mismatch) => {
+      verification.mismatchCount++;
+      if (verification.mismatches.length < maxMismatches) verification.mismatches.push(mismatch);
+    };
+
+    for (const [table, entry] of this.ledger.tables) {
+      const ids = [...entry.rows.keys(), ...entry.deleted];
+      const rows = await this.readLedgerRows(table, ids);
+      for (const id of ids) {
+        if (entry.deleted.has(id)) {
+          verification.deletedRowsChecked++;
+          if (rows.has(id)) addMismatch({ table: table, id: id, column: '(row)', expected: 'deleted', actual: 'present' });
+        } else if (!rows.has(id)) {
+          verification.rowsChecked++;
+          addMismatch({ table: table, id: id, column: '(row)', expected: 'present', actual: 'missing' });
+        } else {
+          verification.rowsChecked++;
+          for (const mismatch of this.ledger.compare(table, id, rows.get(id))) {
+            addMismatch({ table: table, id: id, ...mismatch });
+          }
+        }
+      }
+    }
+
+    verification.rowCountMismatches = this.rowCountChecks.filter(check => check.expected !== check.actual).length;
+    this.rowCountChecks = [];
+    return verification;
+  }
+
+  // Take the database's word for the tracked rows after changes the ledger could not mirror
+  async resyncLedger() {
+    let rowsChecked = 0;
+    for (const [table, entry] of this.ledger.tables) {
+      const columns = Object.keys(entry.rows.values().next().value?.values || {});
+      const rows = await this.readLedgerRows(table, [...entry.rows.keys()]);
+      rowsChecked += rows.size;
+      this.ledger.replace(table, [...rows].map(([id, row]) => [id, Object.fromEntries(columns.map(column => [column, row[column]]))]));
+    }
+    const rowCountChecks = this.rowCountChecks;
+    this.rowCountChecks = [];
+    return { resynced: true, rowsChecked: rowsChecked, deletedRowsChecked: 0, mismatchCount: 0, mismatches: [], rowCountChecks: rowCountChecks, rowCountMismatches: 0 };
+  }
+
+  async verifyPhase(phase) {
+    const verification = phase.resyncLedger ? await this.resyncLedger() : await this.verifyLedger();
+    if (verification.mismatchCount > 0 || verification.rowCountMismatches > 0) {
+      verification.error = `Integrity verification failed: ${verification.mismatchCount} row mismatch(es), ${verification.rowCountMismatches} row count mismatch(es)`;
+    }
+    this.results.tests.verification = this.results.tests.verification || {};
+    this.results.tests.verification[phase.name] = verification;
+    console.log(`   - ${verification.resynced ? 'Re-read' : 'Verified'} ${verification.rowsChecked.toLocaleString()} tracked rows, ${verification.deletedRowsChecked.toLocaleString()} deleted rows and ${verification.rowCountChecks.length} row counts: ${verification.error ? '❌ ' + verification.error : '✅'}`);
+  }
+
+  generateVerificationSection(verification) {
+    if (!verification) return '';
+
+    const rows = Object.entries(verification).map(([phase, v]) =>
+      `| ${v.error ? '❌' : '✅'} ${phase} | ${v.resynced ? `${v.rowsChecked.toLocaleString()} (re-read)` : v.rowsChecked.toLocaleString()} | ${v.deletedRowsChecked.toLocaleString()} | ${v.rowCountChecks.map(c => `${c.operation} ${c.actual}/${c.expected}`).join(', ') || '-'} | ${v.mismatchCount} |`
+    );
+    const mismatches = Object.entries(verification).flatMap(([phase, v]) => [
+      ...v.rowCountChecks.filter(c => c.expected !== c.actual).map(c => `| ${phase} | - | - | ${c.operation} (rows changed) | ${c.expected} | ${c.actual} |`),
+      ...v.mismatches.map(m => `| ${phase} | ${m.table} | ${m.id} | ${m.column} | ${m.expected.replace(/\|/g, '\\|')} | ${m.actual.replace(/\|/g, '\\|')} |`)
+    ]);
+
+    return `### Data Integrity Verification
+| Phase | Rows Verified | Deleted Rows Verified | Row Counts (actual/expected) | Mismatches |
+|-------|---------------|-----------------------|------------------------------|------------|
+${rows.join('\n')}
+${mismatches.length > 0 ? `
+#### Mismatches
+| Phase | Table | Row | Column | Expected | Actual |
+|-------|-------|-----|--------|----------|--------|
+${mismatches.join('\n')}
+` : ''}
+`;
+  }
+
+  async getFinalStatistics() {
+    console.log('📊 Collecting final statistics...');
+
+    // A custom schema only gets generic row counts per table
+    const queries = this.customSchema
+      ? (await this.getTableNames()).map(table => ({ name: table, table: true, query: `SELECT COUNT(*) as count FROM ${quoteIdentifier(table)}` }))
+      : [
+        { name: 'totalUsers', query: 'SELECT COUNT(*) as count FROM users' },
+        { name: 'totalTransactions', query: 'SELECT COUNT(*) as count FROM transactions' },
+        { name: 'totalLogs', query: 'SELECT COUNT(*) as count FROM logs' },
+        { name: 'avgUserAge', query: 'SELECT AVG(age) as avg_age FROM users' },
+        { name: 'maxSalary', query: 'SELECT MAX(salary) as max_salary FROM users' },
+        { name: 'activeUsers', query: 'SELECT COUNT(*) as count FROM users WHERE is_active = 1' }
+      ];
+    queries.push({ name: 'databaseSize', query: 'SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()' });
+
+    const statistics = {};
+    let i = 0;
+    for (const q of queries) {
+      i++;
+      this.dashboard.progress('Statistics collected', i, queries.length, { detail: q.name });
+      const result = await this.getAllQuery(q.query);
+      if (q.table) {
+        statistics.tableRows = statistics.tableRows || {};
+        statistics.tableRows[q.name] = result[0].count;
+      } else {
+        statistics[q.name] = result[0];
+      }
+    }
+    this.dashboard.endStep();
+
+    this.results.finalStatistics = statistics;
+  }
+
+  formatTime(milliseconds) {
+    if (milliseconds == null || milliseconds === 'N/A') return 'N/A';
+
+    const ms = milliseconds % 1000;
+    const seconds = Math.floor(milliseconds / 1000) % 60;
+    const minutes = Math.floor(milliseconds / (1000 * 60));
+
+    if (minutes > 0) {
+      return `${minutes}m ${seconds}s ${Math.round(ms)}ms`;
+    } else if (seconds > 0) {
+      return `${seconds}s ${Math.round(ms)}ms`;
+    } else {
+      // High-resolution timings are fractional
+      return `${Number.isInteger(ms) ? ms : ms.toFixed(2)}ms`;
+    }
+  }
+
+  formatLatency(milliseconds) {
+    if (milliseconds == null) return 'N/A';
+    if (milliseconds < 1) return `${Math.round(milliseconds * 1000)}µs`;
+    return `${milliseconds.toFixed(2)}ms`;
+  }
+
+  // Find every latency summary below results.tests, named after its test and operation
+  collectLatencySummaries(tests = this.results.tests) {
+    const summaries = [];
+    const walk = (name, value) => {
+      if (!isPlainObject(value)) return;
+      if (Array.isArray(value.histogram) && value.p99 !== undefined) {
+        summaries.push({ name: name, summary: value });
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        walk(key === 'latency' ? name : `${name}.${key}`, child);
+      }
+    };
+
+    for (const [test, data] of Object.entries(tests)) {
+      // Per-worker summaries are folded into concurrency.workerOperation
+      walk(test, test === 'concurrency' ? { latency: data.latency } : data);
+    }
+    return summaries;
+  }
+
+  generateLatencySection(tests = this.results.tests) {
+    const summaries = this.collectLatencySummaries(tests);
+    if (summaries.length === 0) return '';
+
+    const rows = summaries.map(({ name, summary: l }) =>
+      `| ${name} | ${l.count.toLocaleString()} | ${[l.min, l.mean, l.p50, l.p90, l.p99, l.p999, l.max].map(v => this.formatLatency(v)).join(' | ')} |`
+    );
+
+    const histograms = summaries.map(({ name, summary }) => {
+      const peak = Math.max(...summary.histogram.map(b => b.count), 1);
+      const bars = summary.histogram.map(b => {
+        const label = b.le === '+Inf' ? '> max' : `≤ ${this.formatLatency(b.le)}`;
+        return `  ${label.padEnd(10)} ${'█'.repeat(Math.ceil(b.count / peak * 40)).padEnd(40)} ${b.count}`;
       });
-      worker.on('error', (err) => {
-        fs.unlinkSync(workerPath);
-        reject(err);
+      return `${name}\n${bars.join('\n')}`;
+    });
+
+    return `### Latency Percentiles
+| Operation | Samples | Min | Mean | p50 | p90 | p99 | p99.9 | Max |
+|-----------|---------|-----|------|-----|-----|-----|-------|-----|
+${rows.join('\n')}
+
+#### Latency Histograms
+\`\`\`
+${histograms.join('\n\n')}
+\`\`\`
+
+`;
+  }
+
+  generateRunResultsSections() {
+    const runs = this.results.runs;
+    if (!runs) {
+      return this.generateResultsSection({ tests: this.results.tests, phases: this.results.phases, finalStatistics: this.results.finalStatistics, error: this.results.error });
+    }
+    return this.generateMatrixSection() + runs.map(run => this.generateResultsSection(run)).join('');
+  }
+
+  // Value at a dotted path such as 'insertPerformance.latency.singleInsert.p99'
+  getMetricValue(tests, metricPath) {
+    return metricPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), tests);
+  }
+
+  formatMetric(value, format) {
+    if (typeof value !== 'number') return 'N/A';
+    if (format === 'latency') return this.formatLatency(value);
+    if (format === 'time') return this.formatTime(value);
+    return value.toLocaleString();
+  }
+
+  // Table with one row per run and the headline metrics as columns; the best value per column is bold
+  generateComparisonTable(runs) {
+    const metrics = COMPARISON_METRICS.filter(metric =>
+      runs.some(run => typeof this.getMetricValue(run.tests, metric.path) === 'number')
+    );
+    if (metrics.length === 0) return '';
+
+    const best = metrics.map(metric => {
+      const values = runs.map(run => this.getMetricValue(run.tests, metric.path)).filter(v => typeof v === 'number');
+      return metric.better === 'higher' ? Math.max(...values) : Math.min(...values);
+    });
+
+    const rows = runs.map(run => {
+      const cells = metrics.map((metric, i) => {
+        const value = this.getMetricValue(run.tests, metric.path);
+        const text = this.formatMetric(value, metric.format);
+        return value === best[i] && runs.length > 1 ? `**${text}**` : text;
       });
+      const size = run.finalStatistics?.databaseSize?.size;
+      return `| ${run.label}${run.error ? ' ❌' : ''} | ${cells.join(' | ')} | ${size ? (size / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'} |`;
     });
+
+    return `| Run | ${metrics.map(m => m.label).join(' | ')} | DB Size |
+|-----|${metrics.map(() => '---').join('|')}|---|
+${rows.join('\n')}
+`;
   }
 
-  async testConcurrency() {
-    console.log('🔄 Testing concurrent operations...');
+  // Phase durations with one column per run; the fastest run per phase is bold
+  generatePhaseComparisonTable(runs) {
+    const phases = TEST_PHASES.filter(phase => runs.some(run => run.phases[phase.name]));
+    if (phases.length === 0 || runs.length < 2) return '';
+
+    const rows = phases.map(phase => {
+      const durations = runs.map(run => run.phases[phase.name]?.status === 'passed' ? run.phases[phase.name].duration : undefined);
+      const best = Math.min(...durations.filter(duration => typeof duration === 'number'));
+      const cells = runs.map((run, i) => {
+        const status = run.phases[phase.name];
+        if (!status) return '-';
+        if (status.status !== 'passed') return `${PHASE_STATUS_ICONS[status.status] || '❌'} ${status.status}`;
+        return durations[i] === best ? `**${this.formatTime(durations[i])}**` : this.formatTime(durations[i]);
+      });
+      return `| ${phase.name} | ${cells.join(' | ')} |`;
+    });
+
+    return `
+### Phase Durations
+| Phase | ${runs.map(run => run.label).join(' | ')} |
+|-------|${runs.map(() => '---').join('|')}|
+${rows.join('\n')}
+`;
+  }
+
+  generateMatrixSection() {
+    const runs = this.results.runs;
+    const drivers = this.results.drivers;
+    const effective = runs.map(run =>
+      `- **${run.label}**: ${run.effectivePragmas ? this.getPragmaLabel(run.effectivePragmas) : 'N/A'}${run.error ? ` (failed: ${run.error})` : ''}`
+    );
+    const driverLines = (drivers || []).map(driver => {
+      if (!driver.available) return `- **${driver.name}**: ⏭️ skipped (${driver.reason})`;
+      const run = runs.find(r => r.driver?.name === driver.name);
+      return `- **${driver.name}**: ${driver.version}${run?.driver ? `, SQLite ${run.driver.sqliteVersion}` : ''}`;
+    });
+
+    return `## ${drivers ? 'Driver' : 'PRAGMA Matrix'} Comparison
+Every run executed the selected tests on a fresh database. Best value per column in **bold**.
+
+${this.generateComparisonTable(runs)}${this.generatePhaseComparisonTable(runs)}${drivers ? `
+### Drivers
+${driverLines.join('\n')}
+` : ''}
+### Effective PRAGMA Values
+${effective.join('\n')}
+
+`;
+  }
+
+  // Phases of a run that did not pass, with the stack trace of those that threw
+  generatePhaseProblemsSection(run) {
+    const problems = Object.entries(run.phases || {}).filter(([, status]) => status.status !== 'passed');
+    if (problems.length === 0 && !run.error) return '';
+
+    const lines = problems.map(([name, status]) =>
+      `- ${PHASE_STATUS_ICONS[status.status] || '❌'} **${name}** ${status.status}${status.error ? `: ${status.error}` : ''}${status.stack ? `\n\n  \`\`\`\n${status.stack.split('\n').map(line => `  ${line}`).join('\n')}\n  \`\`\`` : ''}`
+    );
+    return `
+### Phases Not Passed
+${run.error ? `- ❌ **Run failed**: ${run.error}\n` : ''}${lines.join('\n')}
+`;
+  }
+
+  generateResultsSection(run) {
+    const tests = run.tests;
+    const title = run.label ? ` (${run.label})` : '';
+
+    return `## Performance Results${title}
+${this.generatePhaseProblemsSection(run)}
+### INSERT Performance
+- **Total Records**: ${tests.insertPerformance?.totalRecords?.toLocaleString() || 'N/A'}
+- **Total Time**: ${this.formatTime(tests.insertPerformance?.totalTime)}
+- **Single Insert Time**: ${this.formatTime(tests.insertPerformance?.singleInsertTime)}
+- **Batch Insert Time**: ${this.formatTime(tests.insertPerformance?.batchInsertTime)}
+- **Records/Second**: ${tests.insertPerformance?.recordsPerSecond?.toLocaleString() || 'N/A'}
+- **Single Insert Rate**: ${tests.insertPerformance?.singleInsertRate?.toLocaleString() || 'N/A'} records/sec
+- **Batch Insert Rate**: ${tests.insertPerformance?.batchInsertRate?.toLocaleString() || 'N/A'} records/sec
+${this.generateInsertStrategiesTable(tests.insertPerformance?.strategies)}
+### SELECT Performance
+${Object.entries(tests.selectPerformance || {}).map(([test, data]) =>
+      `- **${test}**: ${this.formatTime(data.executionTime)} (${data.rowsReturned} rows, ${data.ratePerSecond}/sec)${this.describePlanFlags(data)}`
+    ).join('\n')}
+${this.generateIndexComparisonSection(tests.indexComparison)}
+### UPDATE Performance
+- **Single Updates**: ${this.formatTime(tests.updatePerformance?.singleUpdateTime)}
+- **Batch Updates**: ${this.formatTime(tests.updatePerformance?.batchUpdateTime)}
+- **Bulk Update**: ${this.formatTime(tests.updatePerformance?.bulkUpdateTime)} (${tests.updatePerformance?.bulkRowsAffected || 'N/A'} rows)
+- **Total Time**: ${this.formatTime(tests.updatePerformance?.totalTime)}
+
+### DELETE Performance
+- **Single Deletes**: ${this.formatTime(tests.deletePerformance?.singleDeleteTime)}
+- **Bulk Delete**: ${this.formatTime(tests.deletePerformance?.bulkDeleteTime)} (${tests.deletePerformance?.bulkRowsDeleted || 'N/A'} rows)
+- **Total Time**: ${this.formatTime(tests.deletePerformance?.totalTime)}
+
+### TRANSACTION Performance
+- **Batch Insert**: ${this.formatTime(tests.transactionPerformance?.batchInsertTime)}${tests.transactionPerformance?.commits ? ` (${tests.transactionPerformance.commits.toLocaleString()} commits of up to ${tests.transactionPerformance.transactionSize.toLocaleString()} rows)` : ''}
+- **Rollback Test**: ${this.formatTime(tests.transactionPerformance?.rollbackTime)}
+- **Total Time**: ${this.formatTime(tests.transactionPerformance?.totalTime)}
+
+${this.generateCommitSweepSection(tests.commitSizeSweep)}### Log Ingestion & JSON Queries
+- **Records Ingested**: ${tests.logPerformance?.totalRecords?.toLocaleString() || 'N/A'} (spanning ${this.formatTime(tests.logPerformance?.timeSpan)} of log time)
+- **Ingestion Time**: ${this.formatTime(tests.logPerformance?.ingestTime)}
+- **Ingestion Rate**: ${tests.logPerformance?.ingestRate?.toLocaleString() || 'N/A'} rows/sec
+${Object.entries(tests.logPerformance?.queries || {}).map(([test, data]) =>
+      `- **${test}**: ${this.formatLatency(data.executionTime)} mean, ${this.formatLatency(data.latency.p99)} p99 (${data.rowsReturned} rows)${this.describePlanFlags(data)}`
+    ).join('\n')}
+- **Expression Index Build**: ${this.formatTime(tests.logPerformance?.expressionIndexTime)} (JSON filter speedup: ${tests.logPerformance?.jsonIndexSpeedup || 'N/A'})
+- **Generated Column + Index**: ${this.formatTime(tests.logPerformance?.generatedColumnTime)}
+- **Retention Delete**: ${tests.logPerformance?.retentionRowsDeleted?.toLocaleString() ?? 'N/A'} rows older than ${tests.logPerformance?.retentionCutoff || 'N/A'} in ${this.formatTime(tests.logPerformance?.retentionTime)} (${tests.logPerformance?.retentionDeleteRate?.toLocaleString() || 'N/A'} rows/sec)
+- **Total Time**: ${this.formatTime(tests.logPerformance?.totalTime)}
+
+${this.generateFullTextSearchSection(tests.fullTextSearch)}### Data Types Support
+- **Types Tested**: ${tests.dataTypes?.totalTypes || 'N/A'}
+- **Verification**: ${tests.dataTypes?.verificationPassed ? '✅ PASSED' : '❌ FAILED'}
+- **Execution Time**: ${this.formatTime(tests.dataTypes?.executionTime)}
+- **Supported Types**: ${tests.dataTypes?.types?.join(', ') || 'N/A'}${(tests.dataTypes?.mismatches || []).map(m => `\n- ❌ **${m.type}**: expected ${m.expected}, got ${m.actual}`).join('')}
+
+### Concurrency Test
+- **Workers**: ${tests.concurrency?.workers || 'N/A'}${tests.concurrency?.isolation ? ` (${tests.concurrency.isolation} isolation)` : ''}
+- **Operations per Worker**: ${tests.concurrency?.operationsPerWorker || 'N/A'}
+- **Total Operations**: ${tests.concurrency?.totalOperations?.toLocaleString() || 'N/A'}
+- **Success Rate**: ${tests.concurrency?.successRate || 'N/A'}
+- **Operations/Second**: ${tests.concurrency?.operationsPerSecond?.toLocaleString() || 'N/A'}
+- **Average Execution Time**: ${this.formatTime(tests.concurrency?.avgExecutionTime)}
+- **Total Time**: ${this.formatTime(tests.concurrency?.totalTime)}
+- **Failed Operations**: ${tests.concurrency?.totalErrors ?? 'N/A'}
+- **busy_timeout / Max Retries**: ${tests.concurrency?.busyTimeout ?? 'N/A'}ms / ${tests.concurrency?.maxRetries ?? 'N/A'}
+- **Retries**: ${tests.concurrency?.retries?.toLocaleString() ?? 'N/A'}
+- **Errors by Code**: ${tests.concurrency?.errorCounts ? Object.entries(tests.concurrency.errorCounts).map(([code, count]) => `${code} ${count}`).join(', ') : 'N/A'}
+- **BUSY Error Rate**: ${tests.concurrency?.busyErrorRate || 'N/A'} of attempts
+- **Time Waiting on Locks**: ${this.formatTime(tests.concurrency?.lockWaitTime)}
+${this.generateWorkerRolesTable(tests.concurrency)}
+${this.generateWorkloadSection(tests.workload)}${this.generateSoakSection(tests.soak)}${this.generateDurabilitySection(tests.durability)}${this.generateWalCheckpointSection(tests.walCheckpoint)}### Maintenance Operations
+- **ANALYZE Time**: ${this.formatTime(tests.maintenance?.analyzeTime)}
+- **VACUUM Time**: ${this.formatTime(tests.maintenance?.vacuumTime)}
+- **Total Time**: ${this.formatTime(tests.maintenance?.totalTime)}
+- **Size Before VACUUM**: ${tests.maintenance?.sizeBeforeVacuum ? (tests.maintenance.sizeBeforeVacuum / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
+- **Size After VACUUM**: ${tests.maintenance?.sizeAfterVacuum ? (tests.maintenance.sizeAfterVacuum / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
+- **Space Saved**: ${tests.maintenance?.spaceSaved ? (tests.maintenance.spaceSaved / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
+- **Compression Ratio**: ${tests.maintenance?.compressionRatio || 'N/A'}
+${this.generateMaintenanceTable(tests.maintenance?.operations)}
+${this.generateScaleCurveSection(tests.scaleCurve)}${this.generateVerificationSection(tests.verification)}${this.generateLatencySection(run.tests)}${this.generateQueryPlanSection(run.tests)}## Final Database Statistics${title}
+${run.finalStatistics?.tableRows ? this.generateTableRowsList(run.finalStatistics.tableRows) : `- **Total Users**: ${run.finalStatistics?.totalUsers?.count?.toLocaleString() || 'N/A'}
+- **Total Transactions**: ${run.finalStatistics?.totalTransactions?.count?.toLocaleString() || 'N/A'}
+- **Total Logs**: ${run.finalStatistics?.totalLogs?.count?.toLocaleString() || 'N/A'}
+- **Average User Age**: ${run.finalStatistics?.avgUserAge?.avg_age ? run.finalStatistics.avgUserAge.avg_age.toFixed(2) : 'N/A'}
+- **Maximum Salary**: ${run.finalStatistics?.maxSalary?.max_salary ? '$' + run.finalStatistics.maxSalary.max_salary.toLocaleString() : 'N/A'}
+- **Active Users**: ${run.finalStatistics?.activeUsers?.count?.toLocaleString() || 'N/A'}`}
+- **Database Size**: ${run.finalStatistics?.databaseSize?.size ? (run.finalStatistics.databaseSize.size / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
+
+`;
+  }
+
+  generateInsertStrategiesTable(strategies) {
+    if (!strategies) return '';
+
+    const rows = Object.entries(strategies).map(([name, result]) =>
+      `| ${INSERT_STRATEGIES[name]?.label || name} | ${result.rows.toLocaleString()} | ${result.statements.toLocaleString()} | ${this.formatTime(result.time)} | ${result.rowsPerSecond.toLocaleString()} | ${result.speedup} |`
+    );
+
+    return `
+#### Insert Strategies
+| Strategy | Rows | Statements | Time | Rows/sec | vs. re-prepare |
+|----------|------|------------|------|----------|----------------|
+${rows.join('\n')}
+`;
+  }
+
+  describePlanFlags(query) {
+    const flags = [
+      ...(query.fullScans || []).map(table => `full scan of ${table}`),
+      ...(query.tempBTrees || []).map(use => `temp B-tree for ${use}`)
+    ];
+    return flags.length > 0 ? ` ⚠️ ${flags.join(', ')}` : '';
+  }
+
+  generateQueryPlanSection(tests) {
+    const queries = [
+      ...Object.entries(tests.selectPerformance || {}),
+      ...Object.entries(tests.logPerformance?.queries || {}),
+      ...Object.entries(tests.fullTextSearch?.queries || {}).flatMap(([name, data]) => [[`${name} (FTS5)`, data.fts], [`${name} (LIKE)`, data.like]])
+    ].filter(([, data]) => Array.isArray(data.plan));
+    if (queries.length === 0) return '';
+
+    const plans = queries.map(([name, data]) =>
+      `${name} (engine time ${data.engineTime != null ? `${data.engineTime}ms` : 'N/A'} per run)\n${data.tracedSql ? `  -- ${data.tracedSql.replace(/\s+/g, ' ').trim()}\n` : ''}${data.plan.map(line => `  ${line}`).join('\n')}`
+    );
+
+    return `### Query Plans
+\`EXPLAIN QUERY PLAN\` output per benchmarked query, with the statement as traced by SQLite and the engine time reported by its profile hook.
+
+\`\`\`
+${plans.join('\n\n')}
+\`\`\`
+
+`;
+  }
+
+  generateIndexComparisonSection(comparison) {
+    if (!comparison) return '';
+
+    const rows = Object.entries(comparison).flatMap(([index, result]) => {
+      if (result.error) return [`| ${index} | ❌ ${result.error} | | | |`];
+      if (result.usedBy.length === 0) return [`| ${index} | _not used by any benchmarked query_ | | | |`];
+      return Object.entries(result.queries).map(([query, data]) =>
+        `| ${index} | ${query} | ${this.formatLatency(data.withIndexTime)} | ${this.formatLatency(data.withoutIndexTime)} | ${data.speedup} |`
+      );
+    });
+
+    return `
+#### Index Effectiveness
+| Index | Query | With Index | Without Index | Speedup |
+|-------|-------|------------|---------------|---------|
+${rows.join('\n')}
+`;
+  }
+
+  generateTableRowsList(tableRows) {
+    return Object.entries(tableRows).map(([table, count]) => `- **Rows in ${table}**: ${count.toLocaleString()}`).join('\n');
+  }
+
+  generateMarkdownReport() {
+    console.log('📝 Generating markdown report...');
+    // Summary of what was evaluated: the phases that passed in at least one run
+    const passed = name => (this.results.runs || [this.results]).some(run => run.phases?.[name]?.status === 'passed');
+    const evaluated = [
+      ['insert', '**INSERT operations** with both single and batch processing'],
+      ['select', '**SELECT operations** with various complexity levels'],
+      ['update', '**UPDATE operations** including single, batch, and bulk updates'],
+      ['delete', '**DELETE operations** with different patterns'],
+      ['transaction', '**TRANSACTION handling** including rollbacks'],
+      ['logs', '**Log ingestion** with JSON1 queries, expression indexes and retention deletes'],
+      ['fts', '**Full-text search** with FTS5 index builds, MATCH/prefix/phrase/bm25 queries against LIKE, and automerge/optimize'],
+      ['dataTypes', '**Data type support** for all SQLite types'],
+      ['concurrency', '**Concurrent operations** with multiple workers'],
+      ['maintenance', '**Maintenance operations** (VACUUM, ANALYZE)']
+    ].filter(([name]) => passed(name)).map(([, description]) => `- ✅ ${description}\n`).join('');
+
+    const report = `# SQLite Stress Test Report
+
+## Test Overview
+- **Timestamp**: ${this.results.timestamp}
+- **Seed**: ${this.results.seed}
+- **Node.js Version**: ${this.results.environment.nodeVersion}
+- **Platform**: ${this.results.environment.platform} (${this.results.environment.arch})
+- **CPUs**: ${this.results.environment.cpus}
+- **Memory**: ${this.results.environment.memory}
+- **Driver**: ${this.results.driver ? `${this.results.driver.name} ${this.results.driver.version} (SQLite ${this.results.driver.sqliteVersion})` : this.results.drivers ? `compared: ${this.results.drivers.map(driver => driver.name).join(', ')}` : this.driverName}
+- **Database Path**: ${this.dbPath}${this.sourcePath ? `\n- **Source Database**: ${this.sourcePath} (${this.readOnly ? 'read-only' : 'copy'})` : ''}${this.results.interruption ? `\n- **Status**: ⚠️ Stopped early (${this.results.interruption.reason}); phases not run are marked as skipped` : ''}
+
+## Test Configuration
+- **Test Records**: ${this.testRecords.toLocaleString()}
+- **Transaction Size**: ${this.transactionSize.toLocaleString()}
+- **Concurrent Workers**: ${this.describeWorkerPlan(this.getWorkerPlan())}
+- **PRAGMAs**: ${this.results.pragmas ? this.getPragmaLabel(this.results.pragmas) : this.getPragmaLabel(this.config.pragmas)}
+
+${this.generateRunResultsSections()}${this.generateBaselineSection()}## Performance Summary
+This SQLite stress test evaluated:
+${evaluated || '- No test phase passed\n'}
+${this.generateRecommendationsSection()}
+---
+*Report generated on ${new Date().toISOString()}*
+`;
+
+    return report;
+  }
+
+  // Recommendations drawn from the measured results of one run, as { title, text }.
+  // `pragmas` are the effective PRAGMA values of the run.
+  getRecommendations(tests, pragmas = {}) {
+    const limits = this.config.output.recommendations;
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    const recommendations = [];
+    const add = (title, text) => recommendations.push({ title: title, text: text });
+
+    const queries = [
+      ...Object.entries(tests.selectPerformance || {}),
+      ...Object.entries(tests.logPerformance?.queries || {})
+    ];
+    const scans = queries.filter(([, data]) => data.fullScans?.length > 0);
+    if (scans.length > 0) {
+      add('Unindexed scans', `${scans.map(([name, data]) => `${name} (${data.fullScans.join(', ')})`).join(', ')} read every row of the table. An index on the filtered columns turns them into index lookups, unless reading the whole table is the point of the query.`);
+    }
+    const sorts = queries.filter(([, data]) => data.tempBTrees?.length > 0);
+    if (sorts.length > 0) {
+      add('Sorting without an index', `${sorts.map(([name, data]) => `${name} (${data.tempBTrees.join(', ')})`).join(', ')} build a temporary B-tree for every run. An index in the ORDER BY / GROUP BY order lets SQLite read the rows already sorted.`);
+    }
+    const unused = Object.entries(tests.indexComparison || {}).filter(([, result]) => result.usedBy?.length === 0);
+    if (unused.length > 0) {
+      add('Unused indexes', `${unused.map(([name]) => name).join(', ')} ${unused.length === 1 ? 'is' : 'are'} not used by any benchmarked query but updated on every write. Drop ${unused.length === 1 ? 'it' : 'them'} unless other queries need ${unused.length === 1 ? 'it' : 'them'}.`);
+    }
+
+    const insert = tests.insertPerformance;
+    if (insert?.singleInsertRate > 0 && insert.batchInsertRate > 0) {
+      const speedup = insert.batchInsertRate / insert.singleInsertRate;
+      if (speedup < limits.minBatchSpeedup) {
+        add('Low batch insert speedup', `Inserts batched in transactions were only ${speedup.toFixed(1)}x faster than single inserts (expected at least ${limits.minBatchSpeedup}x). Either commits are already cheap (synchronous=${pragmas.synchronous ?? 'default'}, journal_mode=${pragmas.journal_mode ?? 'default'}) or the work per row dominates: check the indexes and triggers of the table.`);
+      } else {
+        add('Batch writes', `Inserts batched in transactions were ${speedup.toFixed(1)}x faster than single inserts. Group application writes into transactions instead of committing every statement.`);
+      }
+    }
+    const strategies = Object.entries(insert?.strategies || {});
+    const reprepare = insert?.strategies?.reprepare?.rowsPerSecond;
+    if (reprepare > 0 && strategies.length > 1) {
+      const [name, best] = strategies.reduce((a, b) => (b[1].rowsPerSecond > a[1].rowsPerSecond ? b : a));
+      if (best.rowsPerSecond / reprepare >= 1.5) {
+        add('Insert strategy', `${INSERT_STRATEGIES[name]?.label || name} inserted ${best.rowsPerSecond.toLocaleString()} rows/sec, ${best.speedup} the rate of preparing every statement again.`);
+      }
+    }
+    if (tests.commitSizeSweep?.kneeSize) {
+      add('Transaction size', `Write throughput levels off at ${tests.commitSizeSweep.kneeSize.toLocaleString()} operations per transaction; larger transactions gain little while holding the write lock longer.`);
+    }
+
+    const concurrency = tests.concurrency;
+    const busyRate = parseFloat(concurrency?.busyErrorRate);
+    if (busyRate > limits.maxBusyErrorRate) {
+      const journalMode = String(pragmas.journal_mode || '').toLowerCase();
+      add('High BUSY error rate', `${concurrency.busyErrorRate} of the attempts of ${concurrency.workers} concurrent workers failed with SQLITE_BUSY${concurrency.totalErrors > 0 ? ` and ${concurrency.totalErrors.toLocaleString()} operations failed after ${concurrency.maxRetries} retries` : ''}. ${journalMode === 'wal' ? '' : `Switch to journal_mode=WAL (now ${journalMode || 'the default, DELETE'}) so that readers do not block the writer, `}${journalMode === 'wal' ? 'Raise' : 'raise'} busy_timeout (now ${concurrency.busyTimeout}ms) or keep write transactions shorter.`);
+    }
+
+    const maintenance = tests.maintenance;
+    if (maintenance?.sizeBeforeVacuum > 0 && maintenance.spaceSaved > 0) {
+      const savings = maintenance.spaceSaved / maintenance.sizeBeforeVacuum * 100;
+      if (savings >= limits.minVacuumSavings) {
+        add('Reclaim free space', `VACUUM shrank the database by ${savings.toFixed(0)}% (${mb(maintenance.spaceSaved)}). Run VACUUM periodically, or use auto_vacuum=INCREMENTAL and return free pages with incremental_vacuum.`);
+      }
+    }
+
+    const cliffs = tests.scaleCurve?.cliffs || [];
+    if (cliffs.length > 0) {
+      const outgrewCache = cliffs.some(cliff => cliff.exceededCache);
+      add('Performance cliff', `${cliffs.map(cliff => `${cliff.benchmark} p50 grew ${cliff.growth} between ${cliff.fromRows.toLocaleString()} and ${cliff.toRows.toLocaleString()} rows`).join('; ')}.${outgrewCache ? ' The database outgrew the page cache there; a larger cache_size or mmap_size moves the cliff further out.' : ''}`);
+    }
+
+    const integrity = [
+      ...Object.entries(tests.verification || {}).filter(([, v]) => v.error).map(([phase, v]) => `${phase}: ${v.error}`),
+      ...(tests.dataTypes?.mismatches || []).map(m => `data type ${m.type} read back as ${m.actual}`),
+      tests.durability?.lostTransactions > 0 && `${tests.durability.lostTransactions.toLocaleString()} acknowledged transactions lost after a crash`,
+      tests.durability?.corruptCycles > 0 && `${tests.durability.corruptCycles.toLocaleString()} crash cycles left a corrupt database`
+    ].filter(Boolean);
+    if (integrity.length > 0) {
+      add('Data integrity', `${integrity.join('; ')}. The test results show the settings and rows involved.`);
+    }
+    return recommendations;
+  }
+
+  // Recommendations of every run, with the run label in a matrix or driver comparison
+  collectRecommendations() {
+    const runs = this.results.runs || [{ tests: this.results.tests, effectivePragmas: this.results.pragmas }];
+    return runs.flatMap(run => this.getRecommendations(run.tests, run.effectivePragmas || {}).map(recommendation => ({ ...recommendation, run: run.label })));
+  }
+
+  generateRecommendationsSection() {
+    const items = this.collectRecommendations().map((r, i) => `${i + 1}. **${r.title}**${r.run ? ` (${r.run})` : ''}: ${r.text}`);
+    return `## Recommendations
+${items.length > 0 ? items.join('\n') : 'None of the checks flagged anything in the measured results.'}
+`;
+  }
+
+  // Line charts of every `snapshots` series in the results, e.g. the soak test and WAL
+  // growth: one chart per measured value. Series of sibling results (one per setting)
+  // share a chart with a line each; nested values such as latency.p99 are lines too.
+  generateHtmlTimeSeries(tests) {
+    const groups = new Map();
+    const walk = (name, value) => {
+      if (!isPlainObject(value)) return;
+      for (const [key, child] of Object.entries(value)) {
+        if (key === 'snapshots' && Array.isArray(child) && child.length > 1) {
+          const parent = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+          if (!groups.has(parent)) groups.set(parent, []);
+          groups.get(parent).push({ label: name.slice(parent.length + 1) || name, snapshots: child });
+        } else {
+          walk(`${name}.${key}`, child);
+        }
+      }
+    };
+    for (const [test, data] of Object.entries(tests)) {
+      walk(test, data);
+    }
+
+    const formatValue = (field, value) => {
+      if (/size|rss|heap/i.test(field)) return (value / 1024 / 1024).toFixed(1) + ' MB';
+      if (/latency|p\d+$/i.test(field)) return this.formatLatency(value);
+      return Math.round(value).toLocaleString();
+    };
+
+    return [...groups].flatMap(([name, entries]) => {
+      const first = entries[0].snapshots;
+      const xKey = ['elapsedSeconds', 'elapsedMs'].find(key => typeof first[0][key] === 'number');
+      if (!xKey) return [];
+      const formatX = xKey === 'elapsedMs' ? ms => this.formatTime(ms) : seconds => `${seconds}s`;
+      const points = (snapshots, get) => snapshots.map(snapshot => [snapshot[xKey], get(snapshot) ?? 0]);
+      return Object.entries(first[0]).filter(([field]) => field !== xKey).map(([field, sample]) => {
+        let lines;
+        if (entries.length > 1) {
+          lines = typeof sample === 'number' ? entries.map(entry => ({ name: entry.label, points: points(entry.snapshots, snapshot => snapshot[field]) })) : [];
+        } else if (typeof sample === 'number') {
+          lines = [{ name: field, points: points(first, snapshot => snapshot[field]) }];
+        } else {
+          lines = Object.keys(isPlainObject(sample) ? sample : {}).map(key => ({ name: key, points: points(first, snapshot => snapshot[field]?.[key]) }));
+        }
+        if (lines.length === 0) return '';
+        return `<figure><figcaption>${escapeHtml(name)}: ${escapeHtml(field)}</figcaption>${lineChart(lines, { formatX: formatX, formatY: value => formatValue(field, value) })}</figure>`;
+      });
+    }).join('\n');
+  }
+
+  generateHtmlRunSection(run) {
+    const tests = run.tests;
+    const charts = [];
+    const figure = (caption, svg) => charts.push(`<figure><figcaption>${escapeHtml(caption)}</figcaption>${svg}</figure>`);
+    const rate = value => `${value.toLocaleString()}/s`;
+
+    const insert = tests.insertPerformance;
+    const insertRates = [
+      insert?.singleInsertRate && { label: 'Single inserts', value: insert.singleInsertRate },
+      insert?.batchInsertRate && { label: 'Batch inserts', value: insert.batchInsertRate },
+      ...Object.entries(insert?.strategies || {}).map(([name, result]) => ({ label: INSERT_STRATEGIES[name]?.label || name, value: result.rowsPerSecond }))
+    ].filter(Boolean);
+    if (insertRates.length > 0) figure('Insert rates (rows/sec)', barChart(insertRates, { format: rate }));
+
+    const selects = Object.entries(tests.selectPerformance || {}).filter(([, data]) => typeof data.executionTime === 'number');
+    if (selects.length > 0) {
+      figure('SELECT mean time per query', barChart(selects.map(([name, data]) => ({ label: name, value: data.executionTime })), { format: ms => this.formatLatency(ms) }));
+    }
+
+    const workers = tests.concurrency?.workerResults || [];
+    if (workers.length > 0) {
+      figure('Concurrency throughput per worker (ops/sec)', barChart(workers.map(worker => ({ label: `Worker ${worker.workerId} (${worker.role})`, value: worker.operationsPerSecond })), { format: rate }));
+    }
 
-    const startTime = Date.now();
-    const operationsPerWorker = this.config.concurrency.operationsPerWorker;
+    const sweep = tests.commitSizeSweep;
+    if (sweep) {
+      figure('Commit size sweep: operations/sec by transaction size', lineChart([{ name: 'operations/sec', points: Object.entries(sweep.sizes).map(([size, result]) => [Number(size), result.operationsPerSecond]) }], { formatX: size => size.toLocaleString(), formatY: value => Math.round(value).toLocaleString(), logX: true }));
+    }
 
-    const workers = [];
-    console.log(`   - Starting ${this.concurrentWorkers} concurrent workers...`);
-    for (let i = 0; i < this.concurrentWorkers; i++) {
-      workers.push(this.createConcurrentWorker(i, operationsPerWorker));
+    const scale = tests.scaleCurve;
+    if (scale) {
+      const steps = Object.values(scale.steps);
+      const benchmarks = [...new Set(steps.flatMap(step => Object.keys(step.latency)))];
+      figure('Scale curve: p50 latency by row count', lineChart(benchmarks.map(name => ({
+        name: name,
+        points: steps.filter(step => step.latency[name]).map(step => [step.rows, step.latency[name].p50])
+      })), { formatX: rows => rows.toLocaleString(), formatY: ms => this.formatLatency(ms), logX: steps.length > 2 }));
     }
 
-    try {
-      const results = await Promise.all(workers);
+    const timeSeries = this.generateHtmlTimeSeries(tests);
+
+    const phases = Object.entries(run.phases || {}).map(([name, status]) =>
+      [`${PHASE_STATUS_ICONS[status.status] || '❌'} ${name}`, status.status, status.duration !== undefined ? this.formatTime(status.duration) : '-', status.error || '']
+    );
+    const stacks = Object.entries(run.phases || {}).filter(([, status]) => status.stack).map(([name, status]) =>
+      `<details><summary>${escapeHtml(name)}: stack trace</summary><pre>${escapeHtml(status.stack)}</pre></details>`
+    );
+    const selectRows = selects.map(([name, data]) => [name, this.formatLatency(data.executionTime), this.formatLatency(data.latency?.p99), data.rowsReturned, this.describePlanFlags(data).replace(' ⚠️ ', '')]);
+
+    const summaries = this.collectLatencySummaries(tests);
+    const latencyRows = summaries.map(({ name, summary: l }) => [name, l.count.toLocaleString(), ...[l.p50, l.p90, l.p99, l.max].map(v => this.formatLatency(v))]);
+    const histograms = summaries.map(({ name, summary }) =>
+      `<details><summary>${escapeHtml(name)}: p50 ${escapeHtml(this.formatLatency(summary.p50))}, p99 ${escapeHtml(this.formatLatency(summary.p99))}</summary>${histogramChart(summary.histogram, { formatBucket: ms => this.formatLatency(ms) })}</details>`
+    );
+    const size = run.finalStatistics?.databaseSize?.size;
+
+    return `<section>
+<h2>Results${run.label ? ` (${escapeHtml(run.label)})` : ''}</h2>
+${run.error ? `<p class="error">❌ ${escapeHtml(run.error)}</p>` : ''}
+${phases.length > 0 ? `<h3>Phases</h3>\n${htmlTable(['Phase', 'Status', 'Duration', 'Error'], phases)}${stacks.join('\n')}` : ''}
+${charts.length > 0 ? `<h3>Charts</h3>\n<div class="charts">\n${charts.join('\n')}\n</div>` : ''}
+${selectRows.length > 0 ? `<h3>SELECT Queries</h3>\n${htmlTable(['Query', 'Mean', 'p99', 'Rows', 'Plan'], selectRows)}` : ''}
+${timeSeries ? `<h3>Time Series</h3>\n<div class="charts">\n${timeSeries}\n</div>` : ''}
+${latencyRows.length > 0 ? `<h3>Latency</h3>\n${htmlTable(['Operation', 'Samples', 'p50', 'p90', 'p99', 'Max'], latencyRows)}\n<h4>Histograms</h4>\n${histograms.join('\n')}` : ''}
+<h3>Final Database Statistics</h3>
+<p>Database size: ${size ? (size / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}</p>
+</section>
+`;
+  }
 
-      const totalOperations = results.reduce((sum, r) => sum + r.completed, 0);
-      const totalErrors = results.reduce((sum, r) => sum + r.errors, 0);
-      const avgExecutionTime = results.reduce((sum, r) => sum + (r.endTime - r.startTime), 0) / results.length;
+  // Headline metrics of every run side by side, with a bar chart per metric
+  generateHtmlComparisonSection(runs) {
+    const metrics = COMPARISON_METRICS.filter(metric => runs.some(run => typeof this.getMetricValue(run.tests, metric.path) === 'number'));
+    const rows = runs.map(run => [run.label, ...metrics.map(metric => this.formatMetric(this.getMetricValue(run.tests, metric.path), metric.format))]);
+    const charts = metrics.map(metric => {
+      const items = runs
+        .map(run => ({ label: run.label, value: this.getMetricValue(run.tests, metric.path) }))
+        .filter(item => typeof item.value === 'number');
+      return `<figure><figcaption>${escapeHtml(metric.label)} (${metric.better} is better)</figcaption>${barChart(items, { format: value => this.formatMetric(value, metric.format) })}</figure>`;
+    });
 
-      this.results.tests.concurrency = {
-        workers: this.concurrentWorkers,
-        operationsPerWorker: operationsPerWorker,
-        totalOperations: totalOperations,
-        totalErrors: totalErrors,
-        successRate: ((totalOperations - totalErrors) / totalOperations * 100).toFixed(2) + '%',
-        avgExecutionTime: avgExecutionTime,
-        operationsPerSecond: Math.round(totalOperations / (avgExecutionTime / 1000)),
-        totalTime: Date.now() - startTime,
-        workerResults: results
-      };
-    } catch (err) {
-      this.results.tests.concurrency = {
-        error: err.message,
-        totalTime: Date.now() - startTime
-      };
-    }
+    return `<section>
+<h2>${this.results.drivers ? 'Driver' : 'PRAGMA Matrix'} Comparison</h2>
+${htmlTable(['Run', ...metrics.map(metric => metric.label)], rows)}
+<div class="charts">
+${charts.join('\n')}
+</div>
+</section>
+`;
   }
 
-  async testVacuumAndAnalyze() {
-    console.log('🧹 Testing VACUUM and ANALYZE...');
+  generateHtmlReport() {
+    console.log('📝 Generating HTML report...');
+
+    const runs = this.results.runs || [{ tests: this.results.tests, phases: this.results.phases, finalStatistics: this.results.finalStatistics, error: this.results.error }];
+    const driver = this.results.driver
+      ? `${this.results.driver.name} ${this.results.driver.version} (SQLite ${this.results.driver.sqliteVersion})`
+      : this.results.drivers ? `compared: ${this.results.drivers.map(d => d.name).join(', ')}` : this.driverName;
+    const overview = [
+      ['Timestamp', this.results.timestamp],
+      ['Seed', this.results.seed],
+      ['Node.js', `${this.results.environment.nodeVersion} on ${this.results.environment.platform} (${this.results.environment.arch})`],
+      ['CPUs / Memory', `${this.results.environment.cpus} / ${this.results.environment.memory}`],
+      ['Driver', driver],
+      ['Database', this.dbPath],
+      ['Test Records', this.testRecords.toLocaleString()],
+      ['PRAGMAs', this.results.pragmas ? this.getPragmaLabel(this.results.pragmas) : this.getPragmaLabel(this.config.pragmas)]
+    ];
+    const recommendations = this.collectRecommendations().map(r =>
+      `<li><strong>${escapeHtml(r.title)}</strong>${r.run ? ` (${escapeHtml(r.run)})` : ''}: ${escapeHtml(r.text)}</li>`
+    );
+    const baseline = this.results.baselineComparison;
+    const changed = (baseline?.metrics || []).filter(m => m.status === 'regressed' || m.status === 'improved').map(m =>
+      [`${m.status === 'regressed' ? '❌' : '✅'} ${m.test}.${m.metric}`, m.baseline, m.current, `${m.changePercent.toFixed(1)}%`, `${m.threshold}%`]
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SQLite Stress Test Report</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 2em auto; padding: 0 1em; color: #111827; }
+h1, h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.2em; }
+table { border-collapse: collapse; margin: 0.5em 0 1.5em; font-size: 0.9em; }
+th, td { border: 1px solid #e5e7eb; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 0.2em 1em; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+.charts { display: flex; flex-wrap: wrap; gap: 1.5em; }
+figure { margin: 0; }
+figcaption { font-weight: 600; margin-bottom: 0.4em; }
+svg { max-width: 100%; height: auto; }
+details { margin: 0.3em 0; }
+summary { cursor: pointer; }
+.error { color: #dc2626; }
+pre { font-size: 0.85em; background: #f9fafb; padding: 0.5em; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>SQLite Stress Test Report</h1>
+${this.results.interruption ? `<p class="error">⚠️ The run stopped early (${escapeHtml(this.results.interruption.reason)}). Phases not run are marked as skipped.</p>` : ''}
+<dl>
+${overview.map(([name, value]) => `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<h2>Recommendations</h2>
+${recommendations.length > 0 ? `<ol>\n${recommendations.join('\n')}\n</ol>` : '<p>None of the checks flagged anything in the measured results.</p>'}
+${baseline ? `<h2>Baseline Comparison</h2>
+<p>${baseline.comparedMetrics} metrics compared with ${escapeHtml(baseline.baselinePath)}: ${baseline.regressions} regressed, ${baseline.improvements} improved.</p>
+${changed.length > 0 ? htmlTable(['Metric', 'Baseline', 'Current', 'Change', 'Threshold'], changed) : ''}` : ''}
+${this.results.runs ? this.generateHtmlComparisonSection(runs) : ''}
+${runs.map(run => this.generateHtmlRunSection(run)).join('\n')}
+<footer><p><em>Report generated on ${new Date().toISOString()}</em></p></footer>
+</body>
+</html>
+`;
+  }
 
-    const startTime = Date.now();
+  generateJsonReport() {
+    console.log('📝 Generating JSON report...');
 
-    // Get database size before vacuum
-    const statsBefore = fs.statSync(this.dbPath);
-    const sizeBefore = statsBefore.size;
+    return JSON.stringify({ ...this.results, configuration: this.config }, null, 2);
+  }
 
-    // Run ANALYZE
-    const analyzeStart = Date.now();
-    await this.runQuery('ANALYZE');
-    const analyzeTime = Date.now() - analyzeStart;
+  // Flatten every primitive value below results.tests (and the final statistics)
+  // into { test, metric, value } rows, e.g. insertPerformance / singleInsertRate.
+  flattenMetrics(results = this.results) {
+    const rows = [];
+    const walk = (test, prefix, value) => {
+      if (value == null) return;
+      if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+        for (const [key, child] of Object.entries(value)) {
+          walk(test, prefix ? `${prefix}.${key}` : key, child);
+        }
+      } else {
+        rows.push({ test, metric: prefix, value: Buffer.isBuffer(value) ? value.length : value });
+      }
+    };
 
-    // Run VACUUM
-    const vacuumStart = Date.now();
-    await this.runQuery('VACUUM');
-    const vacuumTime = Date.now() - vacuumStart;
+    for (const run of this.getRuns(results)) {
+      const prefix = run.label ? `${run.label} / ` : '';
+      for (const [test, data] of Object.entries(run.tests || {})) {
+        walk(prefix + test, '', data);
+      }
+      walk(prefix + 'finalStatistics', '', run.finalStatistics);
+    }
 
-    // Get database size after vacuum
-    const statsAfter = fs.statSync(this.dbPath);
-    const sizeAfter = statsAfter.size;
+    return rows;
+  }
 
-    this.results.tests.maintenance = {
-      analyzeTime: analyzeTime,
-      vacuumTime: vacuumTime,
-      sizeBeforeVacuum: sizeBefore,
-      sizeAfterVacuum: sizeAfter,
-      spaceSaved: sizeBefore - sizeAfter,
-      compressionRatio: ((sizeBefore - sizeAfter) / sizeBefore * 100).toFixed(2) + '%',
-      totalTime: Date.now() - startTime
-    };
+  // Matrix runs keep one entry per combination in results.runs; a plain run is a single unlabeled entry
+  getRuns(results = this.results) {
+    if (results.runs) return results.runs;
+    return [{ label: null, phases: results.phases || {}, tests: results.tests, finalStatistics: results.finalStatistics }];
   }
 
-  async getFinalStatistics() {
-    console.log('📊 Collecting final statistics...');
+  // Whether a bigger value of the metric is better ('higher'), worse ('lower'),
+  // or neither (null, reported but never treated as a regression).
+  getMetricDirection(metric) {
+    const name = metric.split('.').pop();
+    // Time series and histogram buckets are reported, but not compared point by point
+    if (/^(startTime|endTime|timestamp)$/.test(name) || /(^|\.)(histogram|snapshots)\./.test(metric)) return undefined;
+    if (metric.includes('latency.') && /^(min|mean|p\d+|max)$/.test(name)) return 'lower';
+    if (/(rate|persecond)$/i.test(name)) return 'higher';
+    if (/(time|duration)$/i.test(name)) return 'lower';
+    return null;
+  }
 
-    const queries = [
-      { name: 'totalUsers', query: 'SELECT COUNT(*) as count FROM users' },
-      { name: 'totalTransactions', query: 'SELECT COUNT(*) as count FROM transactions' },
-      { name: 'totalLogs', query: 'SELECT COUNT(*) as count FROM logs' },
-      { name: 'avgUserAge', query: 'SELECT AVG(age) as avg_age FROM users' },
-      { name: 'maxSalary', query: 'SELECT MAX(salary) as max_salary FROM users' },
-      { name: 'activeUsers', query: 'SELECT COUNT(*) as count FROM users WHERE is_active = 1' },
-      { name: 'databaseSize', query: 'SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()' }
-    ];
+  compareWithBaseline() {
+    if (!this.baseline) return null;
+
+    console.log('📈 Comparing results with baseline...');
+
+    const { defaultThreshold, minTimeMs, thresholds } = this.config.baseline;
+    const baselineValues = new Map(
+      this.flattenMetrics(this.baseline)
+        .filter(row => !row.test.endsWith('finalStatistics'))
+        .map(row => [`${row.test}.${row.metric}`, row.value])
+    );
+
+    const metrics = [];
+    for (const row of this.flattenMetrics()) {
+      const key = `${row.test}.${row.metric}`;
+      const direction = this.getMetricDirection(row.metric);
+      const baselineValue = baselineValues.get(key);
+      if (direction === undefined || typeof row.value !== 'number' || typeof baselineValue !== 'number') {
+        continue;
+      }
 
-    const statistics = {};
-    let i = 0;
-    for (const q of queries) {
-      i++;
-      process.stdout.write(`     - Collecting stat ${i}/${queries.length}: ${q.name.padEnd(20)}\r`);
-      const result = await this.getAllQuery(q.query);
-      statistics[q.name] = result[0];
-    }
-    process.stdout.write('\n');
+      const changePercent = baselineValue === 0
+        ? (row.value === 0 ? 0 : null)
+        : (row.value - baselineValue) / Math.abs(baselineValue) * 100;
+      const threshold = thresholds[key] ?? thresholds[row.test] ?? defaultThreshold;
 
-    this.results.finalStatistics = statistics;
-  }
+      // Sub-millisecond noise on very fast operations should not gate a merge
+      const tooFastToJudge = direction === 'lower' && Math.max(row.value, baselineValue) < minTimeMs;
 
-  formatTime(milliseconds) {
-    if (milliseconds == null || milliseconds === 'N/A') return 'N/A';
+      let status = 'info';
+      if (direction && changePercent !== null && !tooFastToJudge) {
+        const worsePercent = direction === 'higher' ? -changePercent : changePercent;
+        if (worsePercent > threshold) status = 'regressed';
+        else if (worsePercent < -threshold) status = 'improved';
+        else status = 'unchanged';
+      }
 
-    const ms = milliseconds % 1000;
-    const seconds = Math.floor(milliseconds / 1000) % 60;
-    const minutes = Math.floor(milliseconds / (1000 * 60));
+      metrics.push({ test: row.test, metric: row.metric, baseline: baselineValue, current: row.value, changePercent, direction, threshold, status });
+    }
 
-    if (minutes > 0) {
-      return `${minutes}m ${seconds}s ${ms}ms`;
-    } else if (seconds > 0) {
-      return `${seconds}s ${ms}ms`;
+    const regressions = metrics.filter(m => m.status === 'regressed');
+    this.results.baselineComparison = {
+      baselinePath: this.baseline.path,
+      baselineTimestamp: this.baseline.timestamp,
+      baselineEnvironment: this.baseline.environment,
+      comparedMetrics: metrics.length,
+      regressions: regressions.length,
+      improvements: metrics.filter(m => m.status === 'improved').length,
+      metrics: metrics
+    };
+
+    if (regressions.length > 0) {
+      console.log(`   - ${regressions.length} metric(s) regressed beyond their threshold:`);
+      for (const m of regressions) {
+        console.log(`     ❌ ${m.test}.${m.metric}: ${m.baseline} -> ${m.current} (${m.changePercent.toFixed(1)}%, threshold ${m.threshold}%)`);
+      }
     } else {
-      return `${ms}ms`;
+      console.log(`   - No regressions across ${metrics.length} compared metrics`);
     }
+
+    return this.results.baselineComparison;
   }
 
-  generateMarkdownReport() {
-    console.log('📝 Generating markdown report...');
+  hasRegressions() {
+    return Boolean(this.config.baseline.failOnRegression && this.results.baselineComparison?.regressions > 0);
+  }
 
-    const report = `# SQLite Stress Test Report
+  generateBaselineSection() {
+    const comparison = this.results.baselineComparison;
+    if (!comparison) return '';
 
-## Test Overview
-- **Timestamp**: ${this.results.timestamp}
-- **Node.js Version**: ${this.results.environment.nodeVersion}
-- **Platform**: ${this.results.environment.platform} (${this.results.environment.arch})
-- **CPUs**: ${this.results.environment.cpus}
-- **Memory**: ${this.results.environment.memory}
-- **Database Path**: ${this.dbPath}
+    const icons = { regressed: '❌', improved: '✅', unchanged: '➖', info: 'ℹ️' };
+    const rows = comparison.metrics.map(m => {
+      const change = m.changePercent === null ? 'N/A' : `${m.changePercent > 0 ? '+' : ''}${m.changePercent.toFixed(1)}%`;
+      const threshold = m.direction ? `${m.threshold}%` : '-';
+      return `| ${m.test} | ${m.metric} | ${m.baseline.toLocaleString()} | ${m.current.toLocaleString()} | ${change} | ${threshold} | ${icons[m.status]} ${m.status} |`;
+    });
 
-## Test Configuration
-- **Test Records**: ${this.testRecords.toLocaleString()}
-- **Transaction Size**: ${this.transactionSize.toLocaleString()}
-- **Concurrent Workers**: ${this.concurrentWorkers}
+    return `## Baseline Comparison
+- **Baseline File**: ${comparison.baselinePath}
+- **Baseline Timestamp**: ${comparison.baselineTimestamp || 'N/A'}
+- **Baseline Node.js Version**: ${comparison.baselineEnvironment?.nodeVersion || 'N/A'}
+- **Compared Metrics**: ${comparison.comparedMetrics}
+- **Regressions**: ${comparison.regressions}
+- **Improvements**: ${comparison.improvements}
 
-## Performance Results
+| Test | Metric | Baseline | Current | Change | Threshold | Status |
+|------|--------|----------|---------|--------|-----------|--------|
+${rows.join('\n')}
 
-### INSERT Performance
-- **Total Records**: ${this.results.tests.insertPerformance?.totalRecords?.toLocaleString() || 'N/A'}
-- **Total Time**: ${this.formatTime(this.results.tests.insertPerformance?.totalTime)}
-- **Single Insert Time**: ${this.formatTime(this.results.tests.insertPerformance?.singleInsertTime)}
-- **Batch Insert Time**: ${this.formatTime(this.results.tests.insertPerformance?.batchInsertTime)}
-- **Records/Second**: ${this.results.tests.insertPerformance?.recordsPerSecond?.toLocaleString() || 'N/A'}
-- **Single Insert Rate**: ${this.results.tests.insertPerformance?.singleInsertRate?.toLocaleString() || 'N/A'} records/sec
-- **Batch Insert Rate**: ${this.results.tests.insertPerformance?.batchInsertRate?.toLocaleString() || 'N/A'} records/sec
+`;
+  }
 
-### SELECT Performance
-${Object.entries(this.results.tests.selectPerformance || {}).map(([test, data]) =>
-      `- **${test}**: ${this.formatTime(data.executionTime)} (${data.rowsReturned} rows, ${data.ratePerSecond}/sec)`
-    ).join('\n')}
+  generateCsvReport() {
+    console.log('📝 Generating CSV report...');
 
-### UPDATE Performance
-- **Single Updates**: ${this.formatTime(this.results.tests.updatePerformance?.singleUpdateTime)}
-- **Batch Updates**: ${this.formatTime(this.results.tests.updatePerformance?.batchUpdateTime)}
-- **Bulk Update**: ${this.formatTime(this.results.tests.updatePerformance?.bulkUpdateTime)} (${this.results.tests.updatePerformance?.bulkRowsAffected || 'N/A'} rows)
-- **Total Time**: ${this.formatTime(this.results.tests.updatePerformance?.totalTime)}
+    const escape = value => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-### DELETE Performance
-- **Single Deletes**: ${this.formatTime(this.results.tests.deletePerformance?.singleDeleteTime)}
-- **Bulk Delete**: ${this.formatTime(this.results.tests.deletePerformance?.bulkDeleteTime)} (${this.results.tests.deletePerformance?.bulkRowsDeleted || 'N/A'} rows)
-- **Total Time**: ${this.formatTime(this.results.tests.deletePerformance?.totalTime)}
+    const lines = ['test,metric,value'];
+    for (const row of this.flattenMetrics()) {
+      lines.push([row.test, row.metric, row.value].map(escape).join(','));
+    }
 
-### TRANSACTION Performance
-- **Batch Insert**: ${this.formatTime(this.results.tests.transactionPerformance?.batchInsertTime)}
-- **Rollback Test**: ${this.formatTime(this.results.tests.transactionPerformance?.rollbackTime)}
-- **Total Time**: ${this.formatTime(this.results.tests.transactionPerformance?.totalTime)}
+    return lines.join('\n') + '\n';
+  }
 
-### Data Types Support
-- **Types Tested**: ${this.results.tests.dataTypes?.totalTypes || 'N/A'}
-- **Verification**: ${this.results.tests.dataTypes?.verificationPassed ? '✅ PASSED' : '❌ FAILED'}
-- **Execution Time**: ${this.formatTime(this.results.tests.dataTypes?.executionTime)}
-- **Supported Types**: ${this.results.tests.dataTypes?.types?.join(', ') || 'N/A'}
+  generateJUnitReport() {
+    console.log('📝 Generating JUnit XML report...');
+
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+    const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+    const metrics = this.flattenMetrics();
+
+    let failures = 0;
+    let skipped = 0;
+    let totalTime = 0;
+    const testcases = [];
+    for (const run of this.getRuns()) {
+      const prefix = run.label ? `${run.label} / ` : '';
+      for (const phase of TEST_PHASES) {
+        const status = run.phases[phase.name];
+        const name = run.label ? `${phase.name} [${run.label}]` : phase.name;
+        const attributes = `name="${escape(name)}" classname="sqlite-stress-test.${escape(phase.resultKey)}" time="${seconds(status?.duration)}"`;
+        totalTime += status?.duration || 0;
+
+        if (!status || status.status === 'skipped') {
+          skipped++;
+          testcases.push(`    <testcase ${attributes}>\n      <skipped message="${escape(status?.error || 'Not selected for this run')}"/>\n    </testcase>`);
+          continue;
+        }
 
-### Concurrency Test
-- **Workers**: ${this.results.tests.concurrency?.workers || 'N/A'}
-- **Operations per Worker**: ${this.results.tests.concurrency?.operationsPerWorker || 'N/A'}
-- **Total Operations**: ${this.results.tests.concurrency?.totalOperations?.toLocaleString() || 'N/A'}
-- **Success Rate**: ${this.results.tests.concurrency?.successRate || 'N/A'}
-- **Operations/Second**: ${this.results.tests.concurrency?.operationsPerSecond?.toLocaleString() || 'N/A'}
-- **Average Execution Time**: ${this.formatTime(this.results.tests.concurrency?.avgExecutionTime)}
-- **Total Time**: ${this.formatTime(this.results.tests.concurrency?.totalTime)}
-- **Total Errors**: ${this.results.tests.concurrency?.totalErrors || 'N/A'}
-
-### Maintenance Operations
-- **ANALYZE Time**: ${this.formatTime(this.results.tests.maintenance?.analyzeTime)}
-- **VACUUM Time**: ${this.formatTime(this.results.tests.maintenance?.vacuumTime)}
-- **Total Time**: ${this.formatTime(this.results.tests.maintenance?.totalTime)}
-- **Size Before VACUUM**: ${this.results.tests.maintenance?.sizeBeforeVacuum ? (this.results.tests.maintenance.sizeBeforeVacuum / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
-- **Size After VACUUM**: ${this.results.tests.maintenance?.sizeAfterVacuum ? (this.results.tests.maintenance.sizeAfterVacuum / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
-- **Space Saved**: ${this.results.tests.maintenance?.spaceSaved ? (this.results.tests.maintenance.spaceSaved / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
-- **Compression Ratio**: ${this.results.tests.maintenance?.compressionRatio || 'N/A'}
-
-## Final Database Statistics
-- **Total Users**: ${this.results.finalStatistics?.totalUsers?.count?.toLocaleString() || 'N/A'}
-- **Total Transactions**: ${this.results.finalStatistics?.totalTransactions?.count?.toLocaleString() || 'N/A'}
-- **Total Logs**: ${this.results.finalStatistics?.totalLogs?.count?.toLocaleString() || 'N/A'}
-- **Average User Age**: ${this.results.finalStatistics?.avgUserAge?.avg_age ? this.results.finalStatistics.avgUserAge.avg_age.toFixed(2) : 'N/A'}
-- **Maximum Salary**: ${this.results.finalStatistics?.maxSalary?.max_salary ? '$' + this.results.finalStatistics.maxSalary.max_salary.toLocaleString() : 'N/A'}
-- **Active Users**: ${this.results.finalStatistics?.activeUsers?.count?.toLocaleString() || 'N/A'}
-- **Database Size**: ${this.results.finalStatistics?.databaseSize?.size ? (this.results.finalStatistics.databaseSize.size / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}
-
-## Performance Summary
-This SQLite stress test evaluated:
-- ✅ **INSERT operations** with both single and batch processing
-- ✅ **SELECT operations** with various complexity levels
-- ✅ **UPDATE operations** including single, batch, and bulk updates
-- ✅ **DELETE operations** with different patterns
-- ✅ **TRANSACTION handling** including rollbacks
-- ✅ **Data type support** for all SQLite types
-- ✅ **Concurrent operations** with multiple workers
-- ✅ **Maintenance operations** (VACUUM, ANALYZE)
-
-## Recommendations
-1. **Batch Operations**: Use transactions for bulk operations to improve performance
-2. **Indexing**: Ensure proper indexing for frequently queried columns
-3. **Data Types**: SQLite handles all standard data types efficiently
-4. **Concurrency**: SQLite handles concurrent reads well, but writes are serialized
-5. **Maintenance**: Regular VACUUM operations can help reclaim space and improve performance
+        const output = metrics
+          .filter(row => row.test === prefix + phase.resultKey)
+          .map(row => `${row.metric}=${row.value}`)
+          .join('\n');
+        let body = '';
+        if (status.status !== 'passed') {
+          failures++;
+          body += status.stack
+            ? `      <failure message="${escape(status.error || status.status)}" type="${escape(status.status)}">${escape(status.stack)}</failure>\n`
+            : `      <failure message="${escape(status.error || status.status)}" type="${escape(status.status)}"/>\n`;
+        }
+        body += `      <system-out>${escape(output)}</system-out>\n`;
 
----
-*Report generated on ${new Date().toISOString()}*
+        testcases.push(`    <testcase ${attributes}>\n${body}    </testcase>`);
+      }
+    }
+
+    const comparison = this.results.baselineComparison;
+    if (comparison) {
+      const regressions = comparison.metrics
+        .filter(m => m.status === 'regressed')
+        .map(m => `${m.test}.${m.metric}: ${m.baseline} -> ${m.current} (${m.changePercent.toFixed(1)}%)`);
+      let body = '';
+      if (regressions.length > 0 && this.config.baseline.failOnRegression) {
+        failures++;
+        body += `      <failure message="${regressions.length} metric(s) regressed" type="regression">${escape(regressions.join('\n'))}</failure>\n`;
+      }
+      testcases.push(`    <testcase name="baseline" classname="sqlite-stress-test.baselineComparison" time="0.000">\n${body}    </testcase>`);
+    }
+
+    const environment = Object.entries(this.results.environment)
+      .map(([name, value]) => `      <property name="${escape(name)}" value="${escape(value)}"/>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="SQLite Stress Test" tests="${testcases.length}" failures="${failures}" skipped="${skipped}" time="${seconds(totalTime)}">
+  <testsuite name="sqlite-stress-test" timestamp="${escape(this.results.timestamp)}" tests="${testcases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(totalTime)}">
+    <properties>
+${environment}
+    </properties>
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
 `;
+  }
 
-    const reportPath = path.join(__dirname, 'sqlite_stress_test_report.md');
-    fs.writeFileSync(reportPath, report);
-    console.log(`📄 Report saved to: ${reportPath}`);
+  writeReports() {
+    fs.mkdirSync(this.outputDir, { recursive: true });
 
-    return report;
+    const written = [];
+    for (const format of this.reportFormats) {
+      const { extension, method } = REPORT_FORMATS[format];
+      const reportPath = path.join(this.outputDir, `${this.config.output.baseName}.${extension}`);
+      fs.writeFileSync(reportPath, this[method]());
+      console.log(`📄 Report saved to: ${reportPath}`);
+      written.push(reportPath);
+    }
+
+    this.reportPaths = written;
+    return written;
   }
 
   async cleanup() {
     console.log('🧹 Cleaning up...');
 
-    await new Promise((resolve, reject) => {
-      this.db.close((err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+    }
 
-    if (fs.existsSync(this.dbPath)) {
-      fs.unlinkSync(this.dbPath);
+    if (this.readOnly) {
+      console.log(`✅ Source database ${this.dbPath} left untouched`);
+    } else if (this.config.database.keep) {
+      console.log(`✅ Database kept at ${this.dbPath}`);
+    } else if (this.removeDatabaseFiles()) {
       console.log('✅ Database file removed');
     }
+  }
+
+  getPragmaLabel(pragmas) {
+    return Object.entries(pragmas).map(([name, value]) => `${name}=${value}`).join(', ') || 'defaults';
+  }
+
+  // Initialize a fresh database, run the selected phases and clean up afterwards
+  async runSuite() {
+    try {
+      // Initialize
+      await this.initialize();
+      console.log('✅ Database initialized\n');
 
-    const files = fs.readdirSync(__dirname);
-    files.forEach(file => {
-      if (file.startsWith('worker_') && file.endsWith('.js')) {
+      // Create tables, unless the tests run against an existing database
+      if (this.sourcePath) {
+        console.log(`✅ Using the existing schema and data of ${this.sourcePath}\n`);
+      } else {
+        await this.createTables();
+        console.log('✅ Tables created\n');
+      }
+
+      // Run the selected performance tests. A phase that fails is recorded and the next
+      // one runs; after an interruption the remaining ones are skipped.
+      for (const phase of this.phases) {
+        if (this.interruption) {
+          this.results.phases[phase.name] = { status: 'skipped', error: this.interruption.error.message };
+          continue;
+        }
+
+        const phaseStart = Date.now();
+        this.dashboard.startPhase(phase.label);
+        const status = { status: 'running' };
+        this.results.phases[phase.name] = status;
+        // Each phase gets its own stream, so its data does not depend on which phases ran before it
+        this.random = new SeededRandom(deriveSeed(this.seed, phase.name));
         try {
-          fs.unlinkSync(path.join(__dirname, file));
-          console.log(`✅ Removed worker file: ${file}`);
-        } catch (workerErr) {
-          console.error(`Error removing worker file ${file}:`, workerErr);
+          await this.runPhase(phase);
+          if (this.config.verification.enabled) {
+            await this.verifyPhase(phase);
+          }
+
+          // Some tests catch their own failures and record them in the result
+          const phaseError = this.results.tests[phase.resultKey]?.error || this.results.tests.verification?.[phase.name]?.error;
+          status.status = phaseError ? 'failed' : 'passed';
+          if (phaseError) {
+            status.error = phaseError;
+          }
+        } catch (error) {
+          status.status = 'failed';
+          status.error = error.message;
+          // The abort's own stack only shows the timer or signal handler
+          if (error !== this.abort?.error) status.stack = error.stack;
+        }
+        // An aborted phase may also finish, recording the failure in its own result
+        if (this.abort) {
+          status.status = this.abort.status;
+          status.error = this.abort.error.message;
+        }
+        status.duration = Date.now() - phaseStart;
+        this.dashboard.endPhase();
+
+        if (status.status === 'passed') {
+          console.log(`✅ ${phase.label} completed\n`);
+        } else {
+          console.error(`❌ ${phase.label} ${status.status}: ${status.error}${status.stack ? `\n${status.stack}` : ''}\n`);
+          await this.recoverFromPhase();
+        }
+      }
+
+      if (this.interruption) {
+        console.log('⏭️  Final statistics skipped after the interruption\n');
+      } else {
+        await this.getFinalStatistics();
+        console.log('✅ Final statistics collected\n');
+      }
+    } catch (error) {
+      this.dashboard.endPhase();
+      console.error('❌ Test failed:', error);
+      this.results.error = error.message;
+      for (const status of Object.values(this.results.phases)) {
+        if (status.status === 'running') {
+          status.status = 'failed';
+          status.error = error.message;
         }
       }
+    } finally {
+      // Always cleanup
+      await this.cleanup();
+      console.log('✅ Cleanup completed\n');
+    }
+  }
+
+  // Runs a phase under its timeout (timeouts.phases, else timeouts.phaseSeconds). An
+  // aborted phase gets ABORT_GRACE_MS to unwind; one that does not is abandoned, and
+  // since it may still be using the database the rest of the run is skipped.
+  async runPhase(phase) {
+    const timeouts = this.config.timeouts;
+    const seconds = timeouts.phases[phase.name] ?? timeouts.phaseSeconds;
+    const timer = seconds
+      ? setTimeout(() => this.abortPhase('timedOut', new Error(`${phase.label} timed out after ${seconds}s`)), seconds * 1000)
+      : null;
+    let graceTimer = null;
+    const abandoned = new Promise((resolve, reject) => {
+      this.onAbort = () => {
+        graceTimer = setTimeout(() => {
+          this.interruption = this.interruption || { status: 'timedOut', error: new Error(`${phase.label} did not stop within ${ABORT_GRACE_MS / 1000}s of being aborted`) };
+          reject(this.interruption.error);
+        }, ABORT_GRACE_MS);
+      };
     });
+
+    const run = this[phase.method]();
+    // An abandoned phase may still fail later on
+    run.catch(() => {});
+    try {
+      await Promise.race([run, abandoned]);
+    } finally {
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      this.onAbort = null;
+    }
   }
 
-  async runAllTests() {
-    console.log('🚀 Starting comprehensive SQLite stress test...\n');
+  // Stops the running phase: calls on the suite's connections fail from now on, the
+  // statement sqlite3 is running is interrupted and child workers are killed
+  abortPhase(status, error) {
+    if (this.abort) return;
+    this.abort = { status: status, error: error };
+    console.error(`⏹️  ${error.message}, stopping...`);
+    for (const connection of this.connections) {
+      if (connection.driver === 'sqlite3') connection.handle.interrupt();
+    }
+    this.stopChildren();
+    if (this.onAbort) this.onAbort();
+  }
 
-    const overallStart = Date.now();
+  // Stops the whole run: the running phase is aborted and the remaining ones skipped
+  interrupt(status, error) {
+    this.interruption = this.interruption || { status: status, error: error };
+    this.abortPhase(status, error);
+  }
 
-    try {
-      // Initialize
-      await this.initialize();
-      console.log('✅ Database initialized\n');
+  stopChildren() {
+    for (const stop of this.children) {
+      stop();
+    }
+    this.children.clear();
+  }
+
+  // After a failed or aborted phase: no worker is left running, no transaction open on
+  // the main connection and neither the connections nor the scratch databases the phase
+  // did not get to close and remove, so the next phase starts from a clean state
+  async recoverFromPhase() {
+    this.stopChildren();
+    for (const connection of this.connections) {
+      if (connection === this.db) {
+        await connection.rollback();
+      } else {
+        await connection.close().catch(() => {});
+      }
+    }
+    for (const file of this.scratchFiles) {
+      this.removeDatabaseFiles(file);
+    }
+    this.scratchFiles.clear();
+    if (this.interruption) return;
+
+    this.abort = null;
+    // What the phase recorded may have been rolled back or never written
+    if (this.config.verification.enabled) {
+      await this.resyncLedger();
+    }
+  }
 
-      // Create tables
-      await this.createTables();
-      console.log('✅ Tables created\n');
+  // Runs of a driver comparison and/or PRAGMA matrix: every installed driver with every
+  // PRAGMA combination. Drivers that are not installed are recorded in results.drivers
+  // and skipped.
+  getRunPlan() {
+    const combinations = this.getPragmaCombinations();
+    const comparison = this.config.driverComparison;
+    if (!comparison.enabled && combinations.length === 0) return [];
+
+    let drivers = [this.driverName];
+    if (comparison.enabled) {
+      this.results.drivers = comparison.drivers.map(name => ({ name: name, ...getDriverStatus(name) }));
+      drivers = this.results.drivers.filter(driver => driver.available).map(driver => driver.name);
+      for (const driver of this.results.drivers.filter(driver => !driver.available)) {
+        console.log(`⏭️  Skipping driver ${driver.name}: ${driver.reason}`);
+      }
+      if (drivers.length === 0) {
+        throw new Error(`None of the compared drivers is available: ${this.results.drivers.map(driver => `${driver.name} (${driver.reason})`).join(', ')}`);
+      }
+    }
+
+    return drivers.flatMap(driver => (combinations.length > 0 ? combinations : [{}]).map(combination => ({
+      driver: driver,
+      combination: combination,
+      label: [comparison.enabled && driver, combinations.length > 0 && this.getPragmaLabel(combination)].filter(Boolean).join(', ')
+    })));
+  }
+
+  // Run the whole suite once per planned run, each on a fresh database
+  async runMatrix(plan) {
+    const basePragmas = this.config.pragmas;
+    const baseDriver = this.driverName;
+    this.results.runs = [];
+
+    for (const [index, run] of plan.entries()) {
+      if (this.interruption) {
+        console.log(`⏭️  Skipping ${plan.length - index} remaining run(s)\n`);
+        break;
+      }
+      const pragmas = { ...basePragmas, ...run.combination };
+      console.log(`🧪 Run ${index + 1}/${plan.length}: ${run.label}\n`);
+
+      this.config.pragmas = pragmas;
+      this.driverName = run.driver;
+      this.results.tests = {};
+      this.results.phases = {};
+      delete this.results.finalStatistics;
+      delete this.results.error;
+
+      // Listed before it runs, so that reports written after a crash include it
+      const entry = {
+        label: run.label,
+        pragmas: pragmas,
+        phases: this.results.phases,
+        tests: this.results.tests
+      };
+      this.results.runs.push(entry);
+
+      await this.runSuite();
 
-      // Run all performance tests
-      await this.testInsertPerformance();
-      console.log('✅ Insert performance test completed\n');
+      Object.assign(entry, {
+        driver: this.results.driver,
+        effectivePragmas: this.results.pragmas,
+        finalStatistics: this.results.finalStatistics,
+        error: this.results.error
+      });
+    }
 
-      await this.testSelectPerformance();
-      console.log('✅ Select performance test completed\n');
+    // Per-run results live in results.runs
+    this.config.pragmas = basePragmas;
+    this.driverName = baseDriver;
+    this.results.tests = {};
+    this.results.phases = {};
+    delete this.results.pragmas;
+    delete this.results.driver;
+    delete this.results.finalStatistics;
+    delete this.results.error;
+  }
 
-      await this.testUpdatePerformance();
-      console.log('✅ Update performance test completed\n');
+  // Ctrl-C (SIGINT), SIGTERM and timeouts.totalSeconds stop the run once the running
+  // phase has unwound, and the reports are still written. A second signal writes the
+  // reports right away and exits. Returns a function that removes the handlers.
+  watchInterruptions() {
+    const onSignal = (signal) => {
+      if (this.interruption?.signal) {
+        this.abandonRun(new Error(`${signal} received again while stopping`));
+        process.exit(128 + os.constants.signals[signal]);
+      }
+      console.error(`\n⏹️  ${signal} received, stopping after the current phase unwinds (repeat to exit at once)...`);
+      this.interrupt('interrupted', new Error(`Interrupted by ${signal}`));
+      this.interruption.signal = this.interruption.signal || signal;
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    const totalSeconds = this.config.timeouts.totalSeconds;
+    const timer = totalSeconds
+      ? setTimeout(() => this.interrupt('timedOut', new Error(`Total timeout of ${totalSeconds}s reached`)), totalSeconds * 1000)
+      : null;
+
+    return () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      clearTimeout(timer);
+    };
+  }
 
-      await this.testDeletePerformance();
-      console.log('✅ Delete performance test completed\n');
+  // Last resort when the process has to exit mid-run (a second signal, an uncaught
+  // exception): stop the workers and write what has been measured so far
+  abandonRun(error) {
+    this.dashboard.stop();
+    this.stopChildren();
+    this.results.error = this.results.error || error.message;
+    this.results.interruption = { status: 'interrupted', reason: error.message, signal: this.interruption?.signal };
+    for (const run of this.getRuns()) {
+      for (const status of Object.values(run.phases)) {
+        if (status.status === 'running') {
+          status.status = 'interrupted';
+          status.error = error.message;
+        }
+      }
+    }
+    try {
+      this.writeReports();
+    } catch (err) {
+      console.error(`❌ Unable to write the reports: ${err.message}`);
+    }
+  }
 
-      await this.testTransactionPerformance();
-      console.log('✅ Transaction performance test completed\n');
+  // Phases of every run that did not pass, as { run, name, status }
+  getUnfinishedPhases() {
+    return this.getRuns().flatMap(run => Object.entries(run.phases)
+      .filter(([, status]) => status.status !== 'passed')
+      .map(([name, status]) => ({ run: run.label, name: name, status: status })));
+  }
 
-      await this.testDataTypes();
-      console.log('✅ Data types test completed\n');
+  hasFailures() {
+    return Boolean(this.results.interruption || this.results.error || this.results.runs?.some(run => run.error) || this.getUnfinishedPhases().length > 0);
+  }
 
-      await this.testConcurrency();
-      console.log('✅ Concurrency test completed\n');
+  async runAllTests() {
+    console.log('🚀 Starting comprehensive SQLite stress test...');
+    console.log(`🎲 Seed: ${this.seed} (replay with --seed ${this.seed})\n`);
+    for (const [name, reason] of Object.entries(this.skipReasons)) {
+      console.log(`⏭️  Skipping the ${name} test: ${reason}\n`);
+    }
 
-      await this.testVacuumAndAnalyze();
-      console.log('✅ Maintenance operations test completed\n');
+    const overallStart = Date.now();
+    const plan = this.getRunPlan();
 
-      await this.getFinalStatistics();
-      console.log('✅ Final statistics collected\n');
+    const unwatch = this.watchInterruptions();
+    this.dashboard.start(this.phases.length * Math.max(1, plan.length));
+    try {
+      if (plan.length > 0) {
+        await this.runMatrix(plan);
+      } else {
+        await this.runSuite();
+      }
+    } finally {
+      this.dashboard.stop();
+      unwatch();
+    }
+    if (this.interruption) {
+      this.results.interruption = { status: this.interruption.status, reason: this.interruption.error.message, signal: this.interruption.signal };
+      console.log(`⚠️  Run stopped early: ${this.interruption.error.message}. Reporting the phases completed so far.\n`);
+    }
 
-      // Generate report
-      const report = this.generateMarkdownReport();
-      console.log('✅ Markdown report generated\n');
+    if (this.compareWithBaseline()) {
+      console.log('✅ Baseline comparison completed\n');
+    }
 
-      // Show summary
-      const overallTime = Date.now() - overallStart;
-      console.log('📊 TEST SUMMARY:');
-      console.log(`   Total execution time: ${this.formatTime(overallTime)}`);
+    // Generate reports
+    this.writeReports();
+    console.log('✅ Reports generated\n');
+
+    // Show summary
+    const overallTime = Date.now() - overallStart;
+    console.log('📊 TEST SUMMARY:');
+    console.log(`   Total execution time: ${this.formatTime(overallTime)}`);
+    const unfinished = this.getUnfinishedPhases();
+    if (unfinished.length > 0) {
+      console.log(`   Phases not passed: ${unfinished.map(({ run, name, status }) => `${run ? `${run} / ` : ''}${name} (${status.status})`).join(', ')}`);
+    }
+    if (this.results.runs) {
+      console.log(`   Runs: ${this.results.runs.length} (${this.results.runs.filter(run => run.error).length} failed)`);
+    } else {
       console.log(`   Tests completed: ${Object.keys(this.results.tests).length}`);
       console.log(`   Final database size: ${this.results.finalStatistics?.databaseSize?.size ? (this.results.finalStatistics.databaseSize.size / 1024 / 1024).toFixed(2) + ' MB' : 'N/A'}`);
-      console.log('   Report saved to: sqlite_stress_test_report.md\n');
-
-    } catch (error) {
-      console.error('❌ Test failed:', error);
-      this.results.error = error.message;
-    } finally {
-      // Always cleanup
-      await this.cleanup();
-      console.log('✅ Cleanup completed\n');
     }
+    console.log(`   Reports saved to: ${this.reportPaths.join(', ')}\n`);
   }
 }
 
-// Error handling for the main execution
+// Error handling for the main execution: the run in progress still gets its reports
+let activeTest = null;
+
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  if (activeTest) activeTest.abandonRun(reason instanceof Error ? reason : new Error(String(reason)));
   process.exit(1);
 });
 
 process.on('uncaughtException', (err) => {
   console.error('Uncaught Exception:', err);
+  if (activeTest) activeTest.abandonRun(err);
   process.exit(1);
 });
 
+function printUsage() {
+  console.log(`Usage: node index.js [options]
+
+Options:
+  --config <file>         Load configuration from <file> instead of config.json
+  --only <tests>          Comma-separated list of tests to run
+  --skip <tests>          Comma-separated list of tests to skip
+  --set <key.path=value>  Override a configuration value (repeatable)
+  --output-dir <dir>      Write reports to <dir> (default: output.directory)
+  --format <formats>      Comma-separated report formats: ${Object.keys(REPORT_FORMATS).join(', ')}
+  --soak <seconds>        Also run the soak test for <seconds> (overrides soak.durationSeconds)
+  --matrix                Run the selected tests once per pragmaMatrix combination
+  --driver <name>         Run on <name>: ${Object.keys(DRIVERS).join(', ')} (default: sqlite3)
+  --compare-drivers       Run the selected tests once per installed driver of driverComparison.drivers
+  --baseline <file>       Compare against a previous JSON results file
+  --seed <seed>           Seed for all generated data (replays the same dataset)
+  --timeout <seconds>     Stop the whole run after <seconds> and report what completed (timeouts.totalSeconds)
+  --phase-timeout <secs>  Abort any phase running longer than <secs> and go on with the next (timeouts.phaseSeconds)
+  --schema <file>         Create the tables from a custom schema SQL file
+  --workload <file>       Run the workload phase with a workload definition file
+  --source <file>         Run against a copy of an existing database instead of generated tables
+  --read-only             With --source, open the source itself read-only instead of copying it
+  --keep-db               Keep the database file after the run
+  --dry-run               Print the resolved test plan without touching the database
+  -h, --help              Show this help
+
+Available tests: ${TEST_PHASES.map(phase => phase.name).join(', ')}`);
+}
+
+function parseArgs(argv) {
+  const options = { only: [], skip: [], overrides: [], dryRun: false, help: false };
+  const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    // Support both "--option value" and "--option=value"
+    if (arg.startsWith('--') && arg.includes('=')) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    const nextValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--config':
+        options.configPath = nextValue();
+        break;
+      case '--only':
+        options.only.push(...splitList(nextValue()));
+        break;
+      case '--skip':
+        options.skip.push(...splitList(nextValue()));
+        break;
+      case '--set':
+        options.overrides.push(nextValue());
+        break;
+      case '--output-dir':
+        options.overrides.push(`output.directory=${JSON.stringify(path.resolve(nextValue()))}`);
+        break;
+      case '--format':
+        options.overrides.push(`output.formats=${JSON.stringify(splitList(nextValue()))}`);
+        break;
+      case '--soak': {
+        const raw = nextValue();
+        const seconds = Number(raw);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+          throw new Error(`--soak needs a positive number of seconds (got ${JSON.stringify(raw)})`);
+        }
+        options.overrides.push('soak.enabled=true', `soak.durationSeconds=${seconds}`);
+        break;
+      }
+      case '--timeout':
+        options.overrides.push(`timeouts.totalSeconds=${Number(nextValue())}`);
+        break;
+      case '--phase-timeout':
+        options.overrides.push(`timeouts.phaseSeconds=${Number(nextValue())}`);
+        break;
+      case '--matrix':
+        options.overrides.push('pragmaMatrix.enabled=true');
+        break;
+      case '--driver':
+        options.overrides.push(`database.driver=${JSON.stringify(nextValue())}`);
+        break;
+      case '--compare-drivers':
+        options.overrides.push('driverComparison.enabled=true');
+        break;
+      case '--baseline':
+        options.overrides.push(`baseline.path=${JSON.stringify(path.resolve(nextValue()))}`);
+        break;
+      case '--seed':
+        options.overrides.push(`seed=${nextValue()}`);
+        break;
+      case '--schema':
+        options.overrides.push(`workload.schemaFile=${JSON.stringify(path.resolve(nextValue()))}`);
+        break;
+      case '--workload':
+        options.overrides.push('workload.enabled=true', `workload.definitionFile=${JSON.stringify(path.resolve(nextValue()))}`);
+        break;
+      case '--source':
+        options.overrides.push(`database.source=${JSON.stringify(path.resolve(nextValue()))}`);
+        break;
+      case '--read-only':
+        options.overrides.push('database.sourceMode="readonly"');
+        break;
+      case '--keep-db':
+        options.overrides.push('database.keep=true');
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
 // Main execution
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n`);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
   // Check if sqlite3 is installed
   try {
     require('sqlite3');
@@ -928,11 +5391,45 @@ async function main() {
   console.log('🎯 SQLite Comprehensive Stress Test');
   console.log('=====================================\n');
 
-  const stressTest = new SQLiteStressTest();
+  let stressTest;
+  try {
+    stressTest = new SQLiteStressTest(options);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  if (options.dryRun) {
+    stressTest.printPlan();
+    return;
+  }
+
+  activeTest = stressTest;
   await stressTest.runAllTests();
+  activeTest = null;
+
+  const interruption = stressTest.results.interruption;
+  if (interruption) {
+    console.error(`❌ Run stopped early (${interruption.reason}); the reports cover the phases completed before.`);
+    process.exitCode = interruption.signal ? 128 + os.constants.signals[interruption.signal] : 1;
+    return;
+  }
+
+  if (stressTest.hasFailures()) {
+    const unfinished = stressTest.getUnfinishedPhases();
+    console.error(`❌ ${unfinished.length > 0 ? `${unfinished.length} phase(s) did not pass` : 'The run failed'}; see the reports in ${stressTest.outputDir}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (stressTest.hasRegressions()) {
+    console.error(`❌ ${stressTest.results.baselineComparison.regressions} metric(s) regressed against the baseline.`);
+    process.exitCode = 1;
+    return;
+  }
 
   console.log('🎉 All tests completed successfully!');
-  console.log('Check the sqlite_stress_test_report.md file for detailed results.');
+  console.log(`Check ${stressTest.outputDir} for detailed results.`);
 }
 
 // Execute if run directly
@@ -940,4 +5437,7 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = SQLiteStressTest;
\ No newline at end of file
+module.exports = SQLiteStressTest;
+module.exports.parseArgs = parseArgs;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.TEST_PHASES = TEST_PHASES;
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Per-operation latency sampling with high-resolution timers.
+// Samples are kept in milliseconds (fractional) so summaries can report
+// percentiles and a histogram instead of a single total.
+
+const DEFAULT_BUCKETS_MS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+class LatencyRecorder {
+  constructor(bucketsMs = DEFAULT_BUCKETS_MS) {
+    this.bucketsMs = bucketsMs;
+    this.samples = [];
+  }
+
+  start() {
+    return process.hrtime.bigint();
+  }
+
+  // Record the time elapsed since a value returned by start() and return it in ms
+  stop(start) {
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    this.samples.push(elapsed);
+    return elapsed;
+  }
+
+  record(milliseconds) {
+    this.samples.push(milliseconds);
+  }
+
+  merge(samples) {
+    for (const sample of samples) {
+      this.samples.push(sample);
+    }
+  }
+
+  async time(fn) {
+    const start = this.start();
+    try {
+      return await fn();
+    } finally {
+      this.stop(start);
+    }
+  }
+
+  get count() {
+    return this.samples.length;
+  }
+
+  get total() {
+    return this.samples.reduce((sum, sample) => sum + sample, 0);
+  }
+
+  summary() {
+    const count = this.samples.length;
+    if (count === 0) {
+      return { count: 0, min: 0, mean: 0, p50: 0, p90: 0, p99: 0, p999: 0, max: 0, histogram: [] };
+    }
+
+    const sorted = Float64Array.from(this.samples).sort();
+    // Nearest-rank percentile
+    const percentile = p => sorted[Math.min(count - 1, Math.max(0, Math.ceil(p / 100 * count) - 1))];
+
+    return {
+      count: count,
+      min: round(sorted[0]),
+      mean: round(this.total / count),
+      p50: round(percentile(50)),
+      p90: round(percentile(90)),
+      p99: round(percentile(99)),
+      p999: round(percentile(99.9)),
+      max: round(sorted[count - 1]),
+      histogram: this.histogram(sorted)
+    };
+  }
+
+  // Bucket counts with inclusive upper bounds; the last bucket ('+Inf') holds the overflow
+  histogram(sorted) {
+    const buckets = this.bucketsMs.map(le => ({ le: le, count: 0 }));
+    buckets.push({ le: '+Inf', count: 0 });
+
+    let bucket = 0;
+    for (const sample of sorted) {
+      while (bucket < this.bucketsMs.length && sample > this.bucketsMs[bucket]) {
+        bucket++;
+      }
+      buckets[bucket].count++;
+    }
+
+    // Trim empty buckets at both ends to keep reports readable
+    const first = buckets.findIndex(b => b.count > 0);
+    let last = buckets.length - 1;
+    while (last > first && buckets[last].count === 0) last--;
+    return buckets.slice(first, last + 1);
+  }
+}
+
+module.exports = { LatencyRecorder, DEFAULT_BUCKETS_MS };
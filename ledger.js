@@ -0,0 +1,140 @@
+// In-memory ledger of what the test phases wrote, used to verify that rows read
+// back exactly as written. Only a deterministic sample of row ids is tracked so
+// the ledger stays small with millions of rows. Every tracked row carries a
+// checksum of its expected values; columns are only compared one by one when
+// the checksum of the row read back differs.
+
+const crypto = require('crypto');
+const { deriveSeed } = require('./random');
+
+// The value SQLite hands back for a bound JavaScript value: booleans are stored
+// as integers, -0 as 0 and undefined binds as NULL
+function normalizeValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (Object.is(value, -0)) return 0;
+  return value;
+}
+
+function sameValue(expected, actual) {
+  if (Buffer.isBuffer(expected) || Buffer.isBuffer(actual)) {
+    return Buffer.isBuffer(expected) && Buffer.isBuffer(actual) && expected.equals(actual);
+  }
+  return Object.is(expected, actual);
+}
+
+// Type-tagged so that e.g. 1, '1' and a one-byte BLOB never hash alike
+function checksum(values) {
+  const hash = crypto.createHash('sha256');
+  for (const [column, value] of Object.entries(values)) {
+    hash.update(column);
+    hash.update('\u0000');
+    if (value === null) {
+      hash.update('n');
+    } else if (Buffer.isBuffer(value)) {
+      hash.update('b');
+      hash.update(value);
+    } else {
+      hash.update(typeof value === 'number' ? 'f' : 's');
+      hash.update(typeof value === 'number' ? value.toString() : String(value));
+    }
+    hash.update('\u0000');
+  }
+  return hash.digest('hex');
+}
+
+// Short printable form of a value for reports
+function describeValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (Buffer.isBuffer(value)) {
+    return `BLOB(${value.length} bytes, sha256 ${crypto.createHash('sha256').update(value).digest('hex').slice(0, 12)})`;
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value.length > 60 ? `${value.slice(0, 60)}… (${value.length} chars)` : value);
+  }
+  return String(value);
+}
+
+class Ledger {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.tables = new Map();
+  }
+
+  getTable(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, { rows: new Map(), deleted: new Set() });
+    }
+    return this.tables.get(table);
+  }
+
+  tracks(table, id) {
+    return (deriveSeed(table, id) % 1000000) < this.sampleRate * 1000000;
+  }
+
+  record(table, id, values) {
+    if (!this.tracks(table, id)) return;
+    const normalized = {};
+    for (const [column, value] of Object.entries(values)) {
+      normalized[column] = normalizeValue(value);
+    }
+    const entry = this.getTable(table);
+    entry.rows.set(id, { values: normalized, checksum: checksum(normalized) });
+    entry.deleted.delete(id);
+  }
+
+  // Apply `change(values)` (returning the changed columns) to one tracked row
+  update(table, id, change) {
+    const row = this.tables.get(table)?.rows.get(id);
+    if (!row) return;
+    for (const [column, value] of Object.entries(change(row.values))) {
+      row.values[column] = normalizeValue(value);
+    }
+    row.checksum = checksum(row.values);
+  }
+
+  updateWhere(table, predicate, change) {
+    for (const [id, row] of this.tables.get(table)?.rows || []) {
+      if (predicate(row.values)) this.update(table, id, change);
+    }
+  }
+
+  delete(table, id) {
+    const entry = this.tables.get(table);
+    if (!entry || !this.tracks(table, id)) return;
+    entry.rows.delete(id);
+    entry.deleted.add(id);
+  }
+
+  deleteWhere(table, predicate) {
+    for (const [id, row] of this.tables.get(table)?.rows || []) {
+      if (predicate(row.values)) this.delete(table, id);
+    }
+  }
+
+  // Forget what is expected of a table, e.g. after changes the ledger cannot mirror
+  replace(table, rows) {
+    const entry = this.getTable(table);
+    entry.rows.clear();
+    entry.deleted.clear();
+    for (const [id, values] of rows) {
+      this.record(table, id, values);
+    }
+  }
+
+  // Mismatching columns of a row read back, as { column, expected, actual }
+  compare(table, id, actual) {
+    const row = this.tables.get(table).rows.get(id);
+    const values = {};
+    for (const column of Object.keys(row.values)) {
+      values[column] = actual[column];
+    }
+    if (checksum(values) === row.checksum) return [];
+
+    return Object.entries(row.values)
+      .filter(([column, expected]) => !sameValue(expected, values[column]))
+      .map(([column, expected]) => ({ column, expected: describeValue(expected), actual: describeValue(values[column]) }));
+  }
+}
+
+module.exports = { Ledger, normalizeValue, sameValue, describeValue };
@@ -0,0 +1,85 @@
+// Seedable pseudo-random number generator used for all generated data, so a
+// run can be replayed with exactly the same dataset. sfc32 seeded through
+// splitmix32; fast and good enough for test data (not for cryptography).
+
+// Hash any seed (number or string) plus optional labels into a 32-bit integer
+function deriveSeed(seed, ...labels) {
+  const text = [seed, ...labels].map(String).join('\u0000');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function splitmix32(state) {
+  return () => {
+    state = (state + 0x9e3779b9) | 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+    const init = splitmix32(deriveSeed(seed));
+    this.a = init();
+    this.b = init();
+    this.c = init();
+    this.d = init();
+  }
+
+  // Next 32-bit unsigned integer (sfc32)
+  nextUint32() {
+    this.a >>>= 0; this.b >>>= 0; this.c >>>= 0; this.d >>>= 0;
+    const t = (this.a + this.b) | 0;
+    this.a = this.b ^ (this.b >>> 9);
+    this.b = (this.c + (this.c << 3)) | 0;
+    this.c = (this.c << 21) | (this.c >>> 11);
+    this.d = (this.d + 1) | 0;
+    const result = (t + this.d) | 0;
+    this.c = (this.c + result) | 0;
+    return result >>> 0;
+  }
+
+  // Float in [0, 1), drop-in replacement for Math.random()
+  next() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  // Integer in [min, max], both inclusive
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  // Float in [min, max)
+  float(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  bool(probability = 0.5) {
+    return this.next() < probability;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  bytes(length) {
+    const buffer = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+      buffer[i] = this.nextUint32() & 0xff;
+    }
+    return buffer;
+  }
+
+  hex(byteLength) {
+    return this.bytes(byteLength).toString('hex');
+  }
+}
+
+module.exports = { SeededRandom, deriveSeed };
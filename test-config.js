@@ -23,7 +23,8 @@ if (config) {
   console.log('✅ Configuration loaded successfully!');
   console.log('\n📊 Configuration Summary:');
   console.log(`   Database Path: ${config.database.path}`);
-  console.log(`   Concurrent Workers: ${config.testConfiguration.concurrentWorkers}`);
+  const roles = config.concurrency.roles || [];
+  console.log(`   Concurrent Workers: ${roles.length > 0 ? roles.reduce((sum, entry) => sum + entry.workers, 0) : config.testConfiguration.concurrentWorkers}`);
   console.log(`   Test Records: ${config.testConfiguration.testRecords.toLocaleString()}`);
   console.log(`   Transaction Size: ${config.testConfiguration.transactionSize}`);
   console.log(`   Single Inserts: ${config.insertPerformance.singleInserts}`);
@@ -0,0 +1,215 @@
+// Concurrency worker. Runs either as a worker thread (worker_threads) or as a
+// forked child process (child_process.fork with IPC). In both cases the parent
+// sends a single { type: 'start', settings } message and the worker answers
+// with 'progress' messages followed by one 'result' or 'error' message. A
+// { type: 'stop' } message ends the run early with an 'error' message.
+
+const { parentPort } = require('worker_threads');
+const { SeededRandom } = require('./random');
+const { openDatabase } = require('./drivers');
+
+// Resolves once the message has been handed over, so the process can safely disconnect afterwards
+function send(message) {
+  if (parentPort) {
+    parentPort.postMessage(message);
+    return Promise.resolve();
+  }
+  return new Promise(resolve => process.send(message, () => resolve()));
+}
+
+// Set by a 'stop' message; checked before every operation
+let stopRequested = false;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Pauses between calls that found the database locked, the same as SQLite's own busy
+// handler uses; the last one repeats
+const LOCK_POLL_DELAYS_MS = [1, 2, 5, 10, 15, 20, 25, 25, 25, 50, 50, 100];
+
+async function runWorker(settings) {
+  const workerId = settings.workerId;
+  const operations = settings.operations;
+  const random = new SeededRandom(settings.seed);
+
+  const db = openDatabase(settings.driver, settings.dbPath);
+
+  const results = {
+    workerId: workerId,
+    role: settings.role,
+    seed: settings.seed,
+    operations: operations,
+    completed: 0,
+    failed: 0,
+    reads: 0,
+    writes: 0,
+    attempts: 0,
+    retries: 0,
+    errorCounts: { BUSY: 0, LOCKED: 0, IOERR: 0, CONSTRAINT: 0, OTHER: 0 },
+    lockWaitTime: 0,
+    startTime: Date.now(),
+    endTime: null,
+    readLatencies: [],
+    writeLatencies: []
+  };
+
+  const ownIds = [];
+
+  // Latencies since the last progress message, for the live p99 in the parent
+  let recent = [];
+  const recentP99 = () => {
+    const sorted = Float64Array.from(recent).sort();
+    recent = [];
+    return sorted.length > 0 ? sorted[Math.ceil(sorted.length * 0.99) - 1] : null;
+  };
+
+  const runQuery = (sql, params = []) => db.run(sql, params);
+  const getAllQuery = (sql, params = []) => db.all(sql, params);
+
+  const errorKind = (err) => {
+    const code = String(err.code || '').replace('SQLITE_', '');
+    return Object.prototype.hasOwnProperty.call(results.errorCounts, code) ? code : 'OTHER';
+  };
+
+  const isLockError = err => ['BUSY', 'LOCKED'].includes(errorKind(err));
+
+  // One attempt at an operation. SQLite's busy handler would wait for a lock inside the
+  // call, where the wait cannot be told apart from the work, so the connection has
+  // busy_timeout = 0 and the waiting happens here instead: a call that finds the
+  // database locked is repeated until it gets the lock or settings.busyTimeout runs
+  // out. The time from the first locked call on counts as lock wait.
+  const attempt = async (operation) => {
+    let waitStart = null;
+    for (let poll = 0; ; poll++) {
+      const callStart = process.hrtime.bigint();
+      try {
+        const result = await operation();
+        if (waitStart !== null) results.lockWaitTime += Number(callStart - waitStart) / 1e6;
+        return result;
+      } catch (err) {
+        if (!isLockError(err)) throw err;
+        if (waitStart === null) waitStart = callStart;
+        const waited = Number(process.hrtime.bigint() - waitStart) / 1e6;
+        if (waited >= settings.busyTimeout) {
+          results.lockWaitTime += waited;
+          throw err;
+        }
+        await sleep(Math.min(LOCK_POLL_DELAYS_MS[Math.min(poll, LOCK_POLL_DELAYS_MS.length - 1)], settings.busyTimeout - waited));
+      }
+    }
+  };
+
+  // Run one operation, retrying attempts that still found the database locked after
+  // busyTimeout. The backoff between them counts as lock wait too.
+  const withRetry = async (operation) => {
+    for (let retry = 0; ; retry++) {
+      results.attempts++;
+      try {
+        return await attempt(operation);
+      } catch (err) {
+        const kind = errorKind(err);
+        results.errorCounts[kind]++;
+        if (!isLockError(err) || retry >= settings.retry.maxRetries) {
+          throw err;
+        }
+        results.retries++;
+        const backoff = settings.retry.backoffMs * (retry + 1);
+        await sleep(backoff);
+        results.lockWaitTime += backoff;
+      }
+    }
+  };
+
+  const readOperation = () => {
+    if (random.bool(0.1)) {
+      const age = random.int(settings.ageRange.min, settings.ageRange.max);
+      return getAllQuery('SELECT COUNT(*) AS count, AVG(salary) AS avg_salary FROM users WHERE age BETWEEN ? AND ?', [age, age + 5]);
+    }
+    return getAllQuery('SELECT * FROM users WHERE id = ?', [random.int(1, settings.maxUserId)]);
+  };
+
+  const writeOperation = async (i) => {
+    if (ownIds.length > 0 && random.bool()) {
+      const id = random.pick(ownIds);
+      return runQuery('UPDATE users SET salary = salary * 1.05 WHERE id = ?', [id]);
+    }
+    const username = `worker${workerId}_user${i}`;
+    const result = await runQuery(
+      'INSERT INTO users (username, email, age, salary, is_active) VALUES (?, ?, ?, ?, ?)',
+      [username, `${username}@concurrent.test`, random.int(settings.ageRange.min, settings.ageRange.max), random.float(0, settings.salaryRange.max), random.bool()]
+    );
+    ownIds.push(result.lastID);
+    return result;
+  };
+
+  try {
+    for (const sql of settings.pragmas) {
+      await getAllQuery(sql);
+    }
+    // Lock waits are done and timed by attempt() above
+    await getAllQuery('PRAGMA busy_timeout = 0');
+
+    for (let i = 0; i < operations; i++) {
+      if (stopRequested) {
+        throw new Error(`Stopped after ${i} operations`);
+      }
+      const isRead = random.bool(settings.readRatio);
+      const operationStart = process.hrtime.bigint();
+      try {
+        await withRetry(() => isRead ? readOperation() : writeOperation(i));
+        results.completed++;
+      } catch (err) {
+        results.failed++;
+      }
+      if (isRead) results.reads++;
+      else results.writes++;
+      const latency = Number(process.hrtime.bigint() - operationStart) / 1e6;
+      (isRead ? results.readLatencies : results.writeLatencies).push(latency);
+      recent.push(latency);
+      // Sent after the operation, since the dashboard drops a worker once it reports all done
+      const finished = results.completed + results.failed;
+      if (finished % settings.progressInterval === 0 || finished === operations) {
+        send({ type: 'progress', workerId: workerId, role: settings.role, completed: finished, operations: operations, p99: recentP99() });
+      }
+    }
+
+    results.endTime = Date.now();
+    return results;
+  } finally {
+    await db.close();
+  }
+}
+
+// Returns a function that stops listening, since a worker thread keeps running while it listens
+function listen(onMessage) {
+  const port = parentPort || process;
+  port.on('message', onMessage);
+  return () => port.off('message', onMessage);
+}
+
+function done() {
+  // A forked child keeps running while its IPC channel is open
+  if (!parentPort && process.connected) {
+    process.disconnect();
+  }
+}
+
+if (parentPort || (require.main === module && process.send)) {
+  const unlisten = listen((message) => {
+    if (message.type === 'stop') {
+      stopRequested = true;
+      return;
+    }
+    if (message.type !== 'start') return;
+    runWorker(message.settings)
+      .then(results => send({ type: 'result', results: results }))
+      .catch(err => send({ type: 'error', message: err.message, stack: err.stack }))
+      .finally(() => {
+        unlisten();
+        done();
+      });
+  });
+}
+
+module.exports = { runWorker };
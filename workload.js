@@ -0,0 +1,148 @@
+// Workload definitions: named operations with parameter generators, weights
+// and optional transactional grouping. See workloads/default-workload.json for
+// the built-in users/transactions/logs workload.
+
+const fs = require('fs');
+const path = require('path');
+
+// Generator used for a column when only its declared type is known, following
+// SQLite's type affinity rules (https://www.sqlite.org/datatype3.html)
+function inferGenerator(declaredType) {
+  const type = String(declaredType || '').toUpperCase();
+  if (type.includes('BOOL')) return { generator: 'bool' };
+  if (type.includes('DATE') || type.includes('TIME')) return { generator: 'timestamp' };
+  if (type.includes('JSON')) return { generator: 'json' };
+  if (type.includes('INT')) return { generator: 'int', min: 0, max: 1000000 };
+  if (type.includes('CHAR') || type.includes('CLOB') || type.includes('TEXT')) return { generator: 'text', length: 16 };
+  if (type.includes('BLOB') || type === '') return { generator: 'blob', size: 64 };
+  if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB')) return { generator: 'real', min: 0, max: 1000000 };
+  return { generator: 'real', min: 0, max: 1000000 };
+}
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// First value of a "timestamp" generator without a `start`
+const DEFAULT_TIMESTAMP_START = '2024-01-01T00:00:00Z';
+
+// Build a function that returns the next value for a parameter spec. `context`
+// provides the seeded PRNG, the configuration (for "from" lookups) and the
+// current maximum rowid per table (for "ref" parameters).
+function createGenerator(spec, context) {
+  if (typeof spec !== 'object' || spec === null) {
+    return () => spec;
+  }
+
+  const random = context.random;
+  switch (spec.generator) {
+    case 'constant':
+      return () => spec.value;
+    case 'sequence': {
+      let next = spec.start ?? 1;
+      return () => next++;
+    }
+    case 'int': {
+      const { min, max } = getRange(spec, context, 0, 1000000);
+      return () => random.int(min, max);
+    }
+    case 'real': {
+      const { min, max } = getRange(spec, context, 0, 1);
+      return () => random.float(min, max);
+    }
+    case 'bool':
+      return () => random.bool(spec.probability ?? 0.5);
+    case 'text': {
+      const minLength = spec.minLength ?? spec.length ?? 16;
+      const maxLength = spec.maxLength ?? spec.length ?? 16;
+      return () => {
+        const length = random.int(minLength, maxLength);
+        let text = '';
+        for (let i = 0; i < length; i++) text += LETTERS[random.int(0, LETTERS.length - 1)];
+        return text;
+      };
+    }
+    case 'pick': {
+      const values = spec.from ? lookup(context.config, spec.from) : spec.values;
+      if (!Array.isArray(values) || values.length === 0) {
+        throw new Error(`"pick" generator needs a non-empty "values" array or a "from" path to one`);
+      }
+      return () => random.pick(values);
+    }
+    case 'blob':
+      return () => random.bytes(spec.size ?? 64);
+    case 'hex':
+      return () => random.hex(spec.bytes ?? 16);
+    case 'timestamp': {
+      // Time-ordered by default: every value is `stepMs` after the previous one.
+      // The default start is fixed rather than the current time so that runs
+      // replay with --seed.
+      let next = Date.parse(spec.start ?? DEFAULT_TIMESTAMP_START);
+      return () => {
+        const value = new Date(next).toISOString();
+        next += spec.stepMs ?? 1000;
+        return value;
+      };
+    }
+    case 'json': {
+      const fields = Object.entries(spec.fields || { value: { generator: 'int' } })
+        .map(([name, fieldSpec]) => [name, createGenerator(fieldSpec, context)]);
+      return () => JSON.stringify(Object.fromEntries(fields.map(([name, generate]) => [name, generate()])));
+    }
+    case 'concat': {
+      const parts = (spec.parts || []).map(part => createGenerator(part, context));
+      return () => parts.map(generate => generate()).join('');
+    }
+    case 'ref':
+      // Random existing rowid of another table, for foreign keys and point lookups
+      return () => random.int(1, Math.max(1, context.maxRowIds[spec.table] || 1));
+    default:
+      throw new Error(`Unknown parameter generator "${spec.generator}"`);
+  }
+}
+
+// min/max given inline or through "from", e.g. { "from": "dataGeneration.ageRange" }
+function getRange(spec, context, defaultMin, defaultMax) {
+  const range = spec.from ? lookup(context.config, spec.from) : spec;
+  if (spec.from && (range == null || typeof range.min !== 'number' || typeof range.max !== 'number')) {
+    throw new Error(`"${spec.generator}" generator: "${spec.from}" is not a { min, max } range`);
+  }
+  return { min: range.min ?? defaultMin, max: range.max ?? defaultMax };
+}
+
+function lookup(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function loadWorkload(definitionPath) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to load workload definition ${definitionPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(definition.operations) || definition.operations.length === 0) {
+    throw new Error(`Workload definition ${definitionPath} has no operations`);
+  }
+
+  const names = new Set();
+  for (const operation of definition.operations) {
+    if (!operation.name || names.has(operation.name)) {
+      throw new Error(`Workload operations need unique names (got "${operation.name}")`);
+    }
+    names.add(operation.name);
+    if (!operation.sql && !operation.insertInto) {
+      throw new Error(`Workload operation "${operation.name}" needs "sql" or "insertInto"`);
+    }
+  }
+  for (const step of definition.setup || []) {
+    if (!names.has(step.operation)) {
+      throw new Error(`Workload setup refers to unknown operation "${step.operation}"`);
+    }
+  }
+
+  definition.path = definitionPath;
+  definition.name = definition.name || path.basename(definitionPath, '.json');
+  return definition;
+}
+
+module.exports = { loadWorkload, createGenerator, inferGenerator };